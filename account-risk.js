@@ -0,0 +1,246 @@
+/**
+ * Account-level risk controls that halt trading across trades and days.
+ *
+ * - maxDailyLoss: no new trades for the rest of the day once the day's realised loss reaches a
+ *   rupee amount or a percent of the day's starting capital (matters with maxTradesPerDay > 1)
+ * - consecutiveLosses: pause after K losing days in a row, resuming automatically after N trading days
+ * - weeklyDrawdown: stop for the rest of the week once equity falls a given percent below the
+ *   week's peak, resuming automatically at the start of the next week
+ *
+ * Blocked trades are still simulated so they can be reported as skipped opportunities, but they
+ * never count towards profit or equity.
+ */
+
+/**
+ * Default account risk configuration (all controls disabled)
+ */
+const defaultAccountRiskConfig = {
+  enabled: false, // Apply the account-level controls below
+  maxDailyLoss: {
+    enabled: false, // Stop taking trades for the day once the day's net loss reaches the limit
+    mode: "percent", // "amount" (rupees) or "percent" (of the day's starting capital)
+    value: 2
+  },
+  consecutiveLosses: {
+    enabled: false, // Pause after this many losing days in a row
+    losingDays: 3,
+    pauseDays: 2 // Trading days skipped before trading resumes automatically
+  },
+  weeklyDrawdown: {
+    enabled: false, // Stop for the rest of the week once equity is this % below the week's peak
+    percent: 5
+  }
+};
+
+/**
+ * Account risk rules (used as the blockedBy value of skipped opportunities)
+ */
+const ACCOUNT_RISK_RULES = ["maxDailyLoss", "consecutiveLosses", "weeklyDrawdown"];
+
+/**
+ * Resolve account risk settings from configuration
+ * @param {Object} config - Configuration object with optional accountRisk settings
+ * @returns {Object} - Account risk settings with each control merged over its defaults
+ */
+function getAccountRiskSettings(config) {
+  const accountRisk = config.accountRisk || {};
+  const settings = {
+    ...defaultAccountRiskConfig,
+    ...accountRisk,
+    maxDailyLoss: { ...defaultAccountRiskConfig.maxDailyLoss, ...(accountRisk.maxDailyLoss || {}) },
+    consecutiveLosses: { ...defaultAccountRiskConfig.consecutiveLosses, ...(accountRisk.consecutiveLosses || {}) },
+    weeklyDrawdown: { ...defaultAccountRiskConfig.weeklyDrawdown, ...(accountRisk.weeklyDrawdown || {}) }
+  };
+
+  if (settings.maxDailyLoss.mode !== "amount" && settings.maxDailyLoss.mode !== "percent") {
+    throw new Error(`Unknown max daily loss mode: ${settings.maxDailyLoss.mode}`);
+  }
+  return settings;
+}
+
+/**
+ * Get the Monday of the week a date falls in
+ * @param {string} dateStr - Date string in DD/MM/YYYY format
+ * @returns {string} - Week key (Monday in YYYY-MM-DD format)
+ */
+function getWeekKey(dateStr) {
+  const [day, month, year] = dateStr.split('/').map(part => parseInt(part, 10));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Create the running state of the account controls
+ * @param {number} initialCapital - Starting equity
+ * @returns {Object} - Account risk state
+ */
+function createAccountRiskState(initialCapital) {
+  return {
+    equity: initialCapital,
+    consecutiveLosingDays: 0,
+    pauseDaysRemaining: 0,
+    weekKey: null,
+    weekPeakEquity: initialCapital,
+    weekHalted: false,
+    events: [] // Halts and resumes in date order
+  };
+}
+
+/**
+ * Check whether the account controls block trading on a day
+ * @param {Object} state - Account risk state
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Object} config - Configuration object with optional accountRisk settings
+ * @returns {Object} - { blocked, rule, reason }
+ */
+function checkAccountRiskDay(state, date, config) {
+  const settings = getAccountRiskSettings(config);
+  if (!settings.enabled) {
+    return { blocked: false, rule: null, reason: "Account risk controls disabled" };
+  }
+
+  // A new week resets the weekly drawdown stop (automatic resume)
+  const weekKey = getWeekKey(date);
+  if (weekKey !== state.weekKey) {
+    if (state.weekHalted) {
+      state.events.push({ date, event: "resume", rule: "weeklyDrawdown", reason: "New week" });
+    }
+    state.weekKey = weekKey;
+    state.weekPeakEquity = state.equity;
+    state.weekHalted = false;
+  }
+
+  if (settings.weeklyDrawdown.enabled && state.weekHalted) {
+    return {
+      blocked: true,
+      rule: "weeklyDrawdown",
+      reason: `Weekly drawdown of ${settings.weeklyDrawdown.percent}% reached (week of ${state.weekKey})`
+    };
+  }
+
+  if (settings.consecutiveLosses.enabled && state.pauseDaysRemaining > 0) {
+    return {
+      blocked: true,
+      rule: "consecutiveLosses",
+      reason: `Paused after ${settings.consecutiveLosses.losingDays} consecutive losing days (${state.pauseDaysRemaining} day(s) left)`
+    };
+  }
+
+  return { blocked: false, rule: null, reason: "Trading allowed" };
+}
+
+/**
+ * Update the account controls with a day's outcome
+ * @param {Object} state - Account risk state
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {number} dayNetProfit - Net profit of the trades taken on the day
+ * @param {boolean} tradedDay - Whether any trade was taken on the day
+ * @param {Object} dayCheck - Result of checkAccountRiskDay for the day
+ * @param {Object} config - Configuration object with optional accountRisk settings
+ */
+function recordAccountRiskDay(state, date, dayNetProfit, tradedDay, dayCheck, config) {
+  const settings = getAccountRiskSettings(config);
+  if (!settings.enabled) {
+    return;
+  }
+
+  if (dayCheck.blocked) {
+    // A blocked day counts towards the losing-day pause whichever rule blocked it
+    if (state.pauseDaysRemaining > 0) {
+      state.pauseDaysRemaining--;
+      if (state.pauseDaysRemaining === 0) {
+        state.events.push({ date, event: "resume", rule: "consecutiveLosses", reason: `${settings.consecutiveLosses.pauseDays} day pause completed` });
+      }
+    }
+    return;
+  }
+
+  state.equity += dayNetProfit;
+
+  if (settings.consecutiveLosses.enabled && tradedDay) {
+    if (dayNetProfit < 0) {
+      state.consecutiveLosingDays++;
+    } else if (dayNetProfit > 0) {
+      state.consecutiveLosingDays = 0;
+    }
+    if (state.consecutiveLosingDays >= settings.consecutiveLosses.losingDays && settings.consecutiveLosses.pauseDays > 0) {
+      state.pauseDaysRemaining = settings.consecutiveLosses.pauseDays;
+      state.consecutiveLosingDays = 0;
+      state.events.push({ date, event: "halt", rule: "consecutiveLosses", reason: `${settings.consecutiveLosses.losingDays} consecutive losing days` });
+    }
+  }
+
+  state.weekPeakEquity = Math.max(state.weekPeakEquity, state.equity);
+  const weeklyDrawdownPercent = ((state.weekPeakEquity - state.equity) / state.weekPeakEquity) * 100;
+  if (settings.weeklyDrawdown.enabled && !state.weekHalted && weeklyDrawdownPercent >= settings.weeklyDrawdown.percent) {
+    state.weekHalted = true;
+    state.events.push({ date, event: "halt", rule: "weeklyDrawdown", reason: `Equity ${weeklyDrawdownPercent.toFixed(2)}% below the week's peak` });
+  }
+}
+
+/**
+ * Check whether the trades taken so far today have reached the maximum daily loss
+ * @param {Array} dayTrades - Trades taken so far on the day
+ * @param {Object} config - Configuration object with capital and optional accountRisk settings
+ * @returns {Object} - { blocked, rule, reason, dayNetProfit, limit }
+ */
+function checkDailyLoss(dayTrades, config) {
+  const settings = getAccountRiskSettings(config);
+  const dayNetProfit = dayTrades.reduce((sum, trade) => sum + (trade.netProfit || trade.profit || 0), 0);
+
+  if (!settings.enabled || !settings.maxDailyLoss.enabled) {
+    return { blocked: false, rule: null, reason: "Max daily loss disabled", dayNetProfit, limit: null };
+  }
+
+  const limit = settings.maxDailyLoss.mode === "amount" ?
+    settings.maxDailyLoss.value :
+    (config.capital.initial * settings.maxDailyLoss.value) / 100;
+  const blocked = -dayNetProfit >= limit;
+
+  return {
+    blocked,
+    rule: blocked ? "maxDailyLoss" : null,
+    reason: blocked ?
+      `Daily loss ₹${(-dayNetProfit).toFixed(2)} reached the limit of ₹${limit.toFixed(2)}` :
+      "Daily loss within limit",
+    dayNetProfit,
+    limit
+  };
+}
+
+/**
+ * Summarise the skipped opportunities and halts of a run
+ * @param {Array} results - All result objects of the run
+ * @param {Object} state - Account risk state (null when only the daily loss check ran)
+ * @returns {Object} - Skips and the net profit they would have made per rule, plus halt/resume events
+ */
+function summarizeAccountRisk(results, state) {
+  const skipped = results.filter(result => result.accountRiskSkip);
+  const byRule = {};
+  for (const rule of ACCOUNT_RISK_RULES) {
+    const ruleSkips = skipped.filter(result => result.blockedBy === rule);
+    byRule[rule] = {
+      skippedTrades: ruleSkips.length,
+      skippedNetProfit: ruleSkips.reduce((sum, result) => sum + result.skippedTrade.netProfit, 0)
+    };
+  }
+
+  return {
+    totalSkippedTrades: skipped.length,
+    skippedNetProfit: skipped.reduce((sum, result) => sum + result.skippedTrade.netProfit, 0),
+    byRule,
+    events: state ? state.events : []
+  };
+}
+
+module.exports = {
+  defaultAccountRiskConfig,
+  ACCOUNT_RISK_RULES,
+  getAccountRiskSettings,
+  createAccountRiskState,
+  checkAccountRiskDay,
+  recordAccountRiskDay,
+  checkDailyLoss,
+  summarizeAccountRisk
+};
@@ -9,7 +9,9 @@ const PARAM_RANGES = {
   maxThreshold: { start: 100, end: 300, step: 30 },
   riskRewardRatio: { start: 0.5, end: 3.0, step: 0.5 },
   pullbackPercentage: { start: 0, end: 30, step: 5 },
-  minimumStopLossPercent: { start: 0.5, end: 3.0, step: 0.25 }
+  minimumStopLossPercent: { start: 0.5, end: 3.0, step: 0.25 },
+  breakoutDetector: { values: ["swingThreshold", "openingRange", "priorLevels"] },
+  openingRangeMinutes: { values: [15, 30] }  // Only searched with the openingRange detector
 };
 
 // Validation settings
@@ -70,6 +72,34 @@ const BASE_CONFIG = {
   priceRounding: {
     enabled: true,
     tickSize: 0.05
+  },
+  stopLossAnchor: {
+    swingPrices: "body",  // "body", "wick" or "close"
+    bufferType: "none",  // "none", "ticks", "percent" or "atr"
+    bufferTicks: 2,
+    bufferPercent: 0.1,
+    atrPeriod: 14,
+    atrMultiplier: 0.5
+  },
+  breakoutDetector: {
+    type: "swingThreshold",  // "swingThreshold", "openingRange" or "priorLevels"
+    openingRangeMinutes: 15,
+    priorLevel: "previousDay"  // "previousDay" or "multiDay"
+  },
+  dayContext: {
+    rangeDays: 5
+  },
+  gapFilter: {
+    enabled: false,
+    minGapPercent: 0,
+    maxGapPercent: null
+  },
+  gapClassification: {
+    enabled: false,  // Apply the per-side include/exclude lists
+    sizeUnit: "percent",  // "percent" or "atr"
+    minGapSize: 0.25,
+    long: { include: [], exclude: [] },
+    short: { include: [], exclude: [] }
   }
 };
 
@@ -77,6 +107,10 @@ const BASE_CONFIG = {
  * Generate array of values for a parameter range
  */
 function generateParameterValues(range) {
+  if (range.values) {
+    return [...range.values];
+  }
+
   const values = [];
   for (let i = range.start; i <= range.end; i += range.step) {
     values.push(Number(i.toFixed(2)));
@@ -95,6 +129,12 @@ function createConfig(params) {
   config.riskRewardRatio = params.riskRewardRatio;
   config.pullbackPercentage = params.pullbackPercentage;
   config.minimumStopLossPercent = params.minimumStopLossPercent;
+  if (params.breakoutDetector) {
+    config.breakoutDetector.type = params.breakoutDetector;
+  }
+  if (params.openingRangeMinutes) {
+    config.breakoutDetector.openingRangeMinutes = params.openingRangeMinutes;
+  }
   
   return config;
 }
@@ -139,6 +179,20 @@ function getTotalTrades(results) {
   return totalTrades;
 }
 
+/**
+ * Check whether a combination only differs from another in parameters its detector ignores
+ */
+function isRedundantForDetector(params, paramValues) {
+  const detector = params.breakoutDetector || "swingThreshold";
+
+  if (detector !== "swingThreshold" &&
+    (params.minThreshold !== paramValues.minThreshold[0] || params.maxThreshold !== paramValues.maxThreshold[0])) {
+    return true;
+  }
+  return detector !== "openingRange" && paramValues.openingRangeMinutes !== undefined &&
+    params.openingRangeMinutes !== paramValues.openingRangeMinutes[0];
+}
+
 /**
  * Generate all valid parameter combinations
  */
@@ -154,7 +208,8 @@ function generateAllCombinations() {
   function generateRecursive(index, current) {
     if (index === paramNames.length) {
       // Skip invalid combinations (minThreshold should be less than maxThreshold)
-      if (current.minThreshold < current.maxThreshold) {
+      // and parameters the detector ignores (thresholds for openingRange, range minutes for swingThreshold)
+      if (current.minThreshold < current.maxThreshold && !isRedundantForDetector(current, paramValues)) {
         combinations.push({ ...current });
       }
       return;
@@ -214,7 +269,8 @@ function saveBestConfig(bestResult, combinationNumber, totalCombinations, isLive
       totalFees: bestResult.results.totalFees || 0,
       breakoutsWithoutEntry: bestResult.results.breakoutsWithoutEntry || 0,
       breakoutsOutsideTimeRange: bestResult.results.breakoutsOutsideTimeRange || 0,
-      minimumStopLossRejections: bestResult.results.minimumStopLossRejections || 0
+      minimumStopLossRejections: bestResult.results.minimumStopLossRejections || 0,
+      riskMetrics: bestResult.results.riskMetrics || null
     },
     optimizationInfo: {
       combinationNumber: combinationNumber,
@@ -240,7 +296,9 @@ function saveBestConfig(bestResult, combinationNumber, totalCombinations, isLive
       maxThreshold: bestResult.config.maxThreshold,
       riskRewardRatio: bestResult.config.riskRewardRatio,
       pullbackPercentage: bestResult.config.pullbackPercentage,
-      minimumStopLossPercent: bestResult.config.minimumStopLossPercent
+      minimumStopLossPercent: bestResult.config.minimumStopLossPercent,
+      breakoutDetector: bestResult.config.breakoutDetector?.type || "swingThreshold",
+      openingRangeMinutes: bestResult.config.breakoutDetector?.openingRangeMinutes
     }
   };
   
@@ -669,7 +727,7 @@ async function main() {
             }
             
             if (message.bestResult.params) {
-              console.log(`   📊 Config: minT=${message.bestResult.params.minThreshold}, maxT=${message.bestResult.params.maxThreshold}, RR=${message.bestResult.params.riskRewardRatio}, PB=${message.bestResult.params.pullbackPercentage}%, MinSL=${message.bestResult.params.minimumStopLossPercent}%`);
+              console.log(`   📊 Config: minT=${message.bestResult.params.minThreshold}, maxT=${message.bestResult.params.maxThreshold}, RR=${message.bestResult.params.riskRewardRatio}, PB=${message.bestResult.params.pullbackPercentage}%, MinSL=${message.bestResult.params.minimumStopLossPercent}%, Detector=${message.bestResult.params.breakoutDetector}`);
             }
           }
           
@@ -755,6 +813,8 @@ async function main() {
       console.log(`   Risk-Reward Ratio: ${globalBestResult.config.riskRewardRatio}`);
       console.log(`   Pullback Percentage: ${globalBestResult.config.pullbackPercentage}%`);
       console.log(`   Minimum Stop Loss: ${globalBestResult.config.minimumStopLossPercent}%`);
+      const bestDetector = globalBestResult.config.breakoutDetector || BASE_CONFIG.breakoutDetector;
+      console.log(`   Breakout Detector: ${bestDetector.type}${bestDetector.type === "openingRange" ? ` (${bestDetector.openingRangeMinutes} min)` : ''}`);
       
       console.log(`\n💾 Final configuration saved to: best_conf.json`);
       console.log(`✅ Validation: ${finalTrades} trades (required: ${VALIDATION_SETTINGS.minimumTrades}+)`);
@@ -0,0 +1,73 @@
+/**
+ * Breakeven stop rule for simulated trades.
+ *
+ * Once the trade's maximum favourable excursion reaches the trigger, the stop moves to the
+ * entry price plus an optional buffer (fixed points and/or the round-trip fees per share),
+ * so a reversal exits at roughly zero net loss instead of the original stop.
+ */
+
+/**
+ * Default breakeven stop configuration (disabled)
+ */
+const defaultBreakevenStopConfig = {
+  enabled: false, // Move the stop to breakeven after a favourable move
+  triggerRMultiple: 1, // Trigger once MFE reaches this multiple of the initial risk points
+  triggerAmount: null, // Trigger once MFE reaches this many rupees instead (overrides triggerRMultiple)
+  bufferPoints: 0, // Extra points beyond the entry price
+  coverFees: true // Add the round-trip fees per share to the buffer
+};
+
+/**
+ * Resolve breakeven stop settings from configuration
+ * @param {Object} config - Configuration object with optional breakevenStop settings
+ * @returns {Object} - Breakeven stop settings
+ */
+function getBreakevenStopSettings(config) {
+  return { ...defaultBreakevenStopConfig, ...(config.breakevenStop || {}) };
+}
+
+/**
+ * Calculate the MFE (in rupees) at which the stop moves to breakeven
+ * @param {Object} settings - Breakeven stop settings
+ * @param {number} riskPoints - Initial risk per share
+ * @param {number} shares - Number of shares traded
+ * @returns {number} - MFE trigger in rupees
+ */
+function getBreakevenTrigger(settings, riskPoints, shares) {
+  if (settings.triggerAmount !== null && settings.triggerAmount !== undefined) {
+    return settings.triggerAmount;
+  }
+  return settings.triggerRMultiple * riskPoints * shares;
+}
+
+/**
+ * Calculate the breakeven stop level
+ * @param {Object} trade - Trade with type and entry price
+ * @param {Object} settings - Breakeven stop settings
+ * @param {number} feesPerShare - Round-trip fees per share
+ * @returns {number} - Stop level (unrounded)
+ */
+function getBreakevenStopLevel(trade, settings, feesPerShare) {
+  const buffer = (settings.bufferPoints || 0) + (settings.coverFees ? feesPerShare : 0);
+  return trade.type === "long" ? trade.entry.price + buffer : trade.entry.price - buffer;
+}
+
+/**
+ * Classify the effect of the breakeven rule on a trade that exited at the breakeven stop
+ * @param {number} netProfit - Net profit with the rule
+ * @param {number} counterfactualNetProfit - Net profit of the same trade without the rule
+ * @returns {string} - "saved", "cutShort" or "unchanged"
+ */
+function classifyBreakevenOutcome(netProfit, counterfactualNetProfit) {
+  if (netProfit > counterfactualNetProfit) return "saved";
+  if (netProfit < counterfactualNetProfit) return "cutShort";
+  return "unchanged";
+}
+
+module.exports = {
+  defaultBreakevenStopConfig,
+  getBreakevenStopSettings,
+  getBreakevenTrigger,
+  getBreakevenStopLevel,
+  classifyBreakevenOutcome
+};
@@ -0,0 +1,396 @@
+/**
+ * Pluggable breakout detectors for analyzeTradingDay.
+ *
+ * A detector is an object with two functions:
+ *   createState(dayData, startIndex, config, dayContext) - set up per-day state before the candle loop
+ *     (dayContext holds the prior-day levels from day-context.js, or null)
+ *   detect(state, dayData, index, config)    - return the breakout signals of candle `index`
+ *
+ * Each signal describes one breakout:
+ *   {
+ *     type: "long" | "short",
+ *     valid: whether the detector's own conditions are met (invalid signals are reported only),
+ *     breakoutPrice: level that was broken (unrounded),
+ *     stopLossPrice: level the stop is anchored to before any buffer (unrounded),
+ *     stopLossTime, previousExtremeTime: readable IST timestamps (previousExtremeTime may be on an earlier day),
+ *     previousExtremeType, timeSincePreviousExtreme (minutes), swingLow, swingHigh,
+ *     details: detector-specific fields added to breakoutDetails
+ *   }
+ *
+ * The pullback entry, stop, target and filters in analyzeTradingDay work on any detector's signals.
+ * Swing prices follow the stopLossAnchor settings (body prices by default).
+ */
+const { getMinuteOfDay, getCandleStartTimestamp } = require('./candle-resampler');
+const { getStopLossAnchorSettings, getSwingPrices } = require('./stop-loss-anchor');
+
+/**
+ * Default breakout detector configuration
+ */
+const defaultBreakoutDetectorConfig = {
+  type: "swingThreshold", // "swingThreshold" (new swing high/low after minThreshold..maxThreshold minutes), "openingRange" or "priorLevels"
+  openingRangeMinutes: 15, // openingRange: minutes from the day's first candle that form the range
+  priorLevel: "previousDay" // priorLevels: "previousDay" (yesterday's high/low) or "multiDay" (high/low of the last dayContext.rangeDays days)
+};
+
+/**
+ * Resolve breakout detector settings from configuration
+ * @param {Object} config - Configuration object with optional breakoutDetector settings
+ * @returns {Object} - Breakout detector settings
+ */
+function getBreakoutDetectorSettings(config) {
+  return { ...defaultBreakoutDetectorConfig, ...(config.breakoutDetector || {}) };
+}
+
+/**
+ * Check if time difference is within the threshold range
+ * @param {number} timeDiff - Time difference in minutes
+ * @param {Object} config - Configuration with minThreshold and maxThreshold
+ * @returns {boolean} - True if within range
+ */
+function isTimeThresholdMet(timeDiff, config) {
+  return timeDiff >= config.minThreshold && timeDiff <= config.maxThreshold;
+}
+
+/**
+ * Minutes between two candle timestamps
+ * @param {string} timestamp1 - First timestamp
+ * @param {string} timestamp2 - Second timestamp
+ * @returns {number} - Absolute difference in minutes
+ */
+function minutesBetween(timestamp1, timestamp2) {
+  return Math.abs(getMinuteOfDay(timestamp1) - getMinuteOfDay(timestamp2));
+}
+
+/**
+ * Swing threshold detector - a new swing high (low) strictly above (below) the previous one,
+ * valid when the previous extreme was set minThreshold..maxThreshold minutes earlier.
+ * The stop is anchored to the lowest (highest) swing price since the previous extreme.
+ */
+const swingThresholdDetector = {
+  createState(dayData, startIndex, config) {
+    const anchorSettings = getStopLossAnchorSettings(config);
+    const firstCandle = dayData[startIndex];
+    const firstSwing = getSwingPrices(firstCandle, anchorSettings);
+
+    return {
+      anchorSettings,
+      previousHighTime: firstCandle.timestamp_readable_IST,
+      previousHighPrice: firstSwing.high,
+      previousLowTime: firstCandle.timestamp_readable_IST,
+      previousLowPrice: firstSwing.low,
+      // Lowest point since the last high and highest point since the last low
+      lowestSinceLastHigh: firstSwing.low,
+      lowestSinceLastHighTime: firstCandle.timestamp_readable_IST,
+      highestSinceLastLow: firstSwing.high,
+      highestSinceLastLowTime: firstCandle.timestamp_readable_IST
+    };
+  },
+
+  detect(state, dayData, index, config) {
+    const candle = dayData[index];
+    const swing = getSwingPrices(candle, state.anchorSettings);
+    const signals = [];
+
+    if (swing.low < state.lowestSinceLastHigh) {
+      state.lowestSinceLastHigh = swing.low;
+      state.lowestSinceLastHighTime = candle.timestamp_readable_IST;
+    }
+
+    if (swing.high > state.highestSinceLastLow) {
+      state.highestSinceLastLow = swing.high;
+      state.highestSinceLastLowTime = candle.timestamp_readable_IST;
+    }
+
+    // New high (must be STRICTLY higher than previous high)
+    if (swing.high > state.previousHighPrice + 0.05) { // Using a small threshold to account for precision issues
+      const timeDiff = minutesBetween(candle.timestamp_readable_IST, state.previousHighTime);
+      signals.push({
+        type: "long",
+        valid: isTimeThresholdMet(timeDiff, config),
+        breakoutPrice: state.previousHighPrice,
+        stopLossPrice: state.lowestSinceLastHigh,
+        stopLossTime: state.lowestSinceLastHighTime,
+        previousExtremeTime: state.previousHighTime,
+        previousExtremeType: "high",
+        timeSincePreviousExtreme: timeDiff,
+        swingLow: state.lowestSinceLastHigh,
+        swingHigh: state.previousHighPrice,
+        details: {
+          minThresholdRequired: config.minThreshold,
+          maxThresholdRequired: config.maxThreshold
+        }
+      });
+
+      // Update previous high and reset lowest since last high
+      state.previousHighPrice = swing.high;
+      state.previousHighTime = candle.timestamp_readable_IST;
+      state.lowestSinceLastHigh = swing.low;
+      state.lowestSinceLastHighTime = candle.timestamp_readable_IST;
+    }
+
+    // New low (must be STRICTLY lower than previous low)
+    if (swing.low < state.previousLowPrice - 0.05) { // Using a small threshold to account for precision issues
+      const timeDiff = minutesBetween(candle.timestamp_readable_IST, state.previousLowTime);
+      signals.push({
+        type: "short",
+        valid: isTimeThresholdMet(timeDiff, config),
+        breakoutPrice: state.previousLowPrice,
+        stopLossPrice: state.highestSinceLastLow,
+        stopLossTime: state.highestSinceLastLowTime,
+        previousExtremeTime: state.previousLowTime,
+        previousExtremeType: "low",
+        timeSincePreviousExtreme: timeDiff,
+        swingLow: state.previousLowPrice,
+        swingHigh: state.highestSinceLastLow,
+        details: {
+          minThresholdRequired: config.minThreshold,
+          maxThresholdRequired: config.maxThreshold
+        }
+      });
+
+      // Update previous low and reset highest since last low
+      state.previousLowPrice = swing.low;
+      state.previousLowTime = candle.timestamp_readable_IST;
+      state.highestSinceLastLow = swing.high;
+      state.highestSinceLastLowTime = candle.timestamp_readable_IST;
+    }
+
+    return signals;
+  }
+};
+
+/**
+ * Opening range detector - the high and low of the first N minutes of the day form the range;
+ * a candle crossing above (below) the range is a long (short) breakout with the stop at the
+ * opposite side of the range. A side signals again only after price has come back inside.
+ */
+const openingRangeDetector = {
+  createState(dayData, startIndex, config) {
+    const settings = getBreakoutDetectorSettings(config);
+    const anchorSettings = getStopLossAnchorSettings(config);
+    // Bars are stamped with their last minute, so the range ends before the first bar stamped at or after rangeEndMinute
+    const rangeEndMinute = getMinuteOfDay(getCandleStartTimestamp(dayData[0])) + settings.openingRangeMinutes;
+
+    const state = {
+      anchorSettings,
+      openingRangeMinutes: settings.openingRangeMinutes,
+      rangeEndIndex: -1,
+      rangeComplete: false,
+      rangeHigh: null,
+      rangeHighTime: null,
+      rangeLow: null,
+      rangeLowTime: null
+    };
+
+    // The range is always measured from the day's first candle, even when detection resumes later
+    for (let i = 0; i < dayData.length; i++) {
+      const candle = dayData[i];
+      if (getMinuteOfDay(candle.timestamp_readable_IST) >= rangeEndMinute) {
+        state.rangeComplete = true;
+        break;
+      }
+
+      const swing = getSwingPrices(candle, anchorSettings);
+      if (state.rangeHigh === null || swing.high > state.rangeHigh) {
+        state.rangeHigh = swing.high;
+        state.rangeHighTime = candle.timestamp_readable_IST;
+      }
+      if (state.rangeLow === null || swing.low < state.rangeLow) {
+        state.rangeLow = swing.low;
+        state.rangeLowTime = candle.timestamp_readable_IST;
+      }
+      state.rangeEndIndex = i;
+    }
+
+    return state;
+  },
+
+  detect(state, dayData, index) {
+    if (!state.rangeComplete || index <= state.rangeEndIndex) {
+      return [];
+    }
+
+    const candle = dayData[index];
+    const swing = getSwingPrices(candle, state.anchorSettings);
+    const previousSwing = index - 1 > state.rangeEndIndex ? getSwingPrices(dayData[index - 1], state.anchorSettings) : null;
+    const details = {
+      openingRangeMinutes: state.openingRangeMinutes,
+      openingRangeHigh: state.rangeHigh,
+      openingRangeLow: state.rangeLow
+    };
+    const signals = [];
+
+    const isAbove = price => price > state.rangeHigh + 0.05;
+    const isBelow = price => price < state.rangeLow - 0.05;
+
+    if (isAbove(swing.high) && !(previousSwing && isAbove(previousSwing.high))) {
+      signals.push({
+        type: "long",
+        valid: true,
+        breakoutPrice: state.rangeHigh,
+        stopLossPrice: state.rangeLow,
+        stopLossTime: state.rangeLowTime,
+        previousExtremeTime: state.rangeHighTime,
+        previousExtremeType: "openingRangeHigh",
+        timeSincePreviousExtreme: minutesBetween(candle.timestamp_readable_IST, state.rangeHighTime),
+        swingLow: state.rangeLow,
+        swingHigh: state.rangeHigh,
+        details
+      });
+    }
+
+    if (isBelow(swing.low) && !(previousSwing && isBelow(previousSwing.low))) {
+      signals.push({
+        type: "short",
+        valid: true,
+        breakoutPrice: state.rangeLow,
+        stopLossPrice: state.rangeHigh,
+        stopLossTime: state.rangeHighTime,
+        previousExtremeTime: state.rangeLowTime,
+        previousExtremeType: "openingRangeLow",
+        timeSincePreviousExtreme: minutesBetween(candle.timestamp_readable_IST, state.rangeLowTime),
+        swingLow: state.rangeLow,
+        swingHigh: state.rangeHigh,
+        details
+      });
+    }
+
+    return signals;
+  }
+};
+
+/**
+ * Prior levels detector - a candle crossing above (below) the previous day's or the multi-day
+ * high (low) is a long (short) breakout with the stop at the day's lowest (highest) swing price
+ * so far. A side signals again only after price has come back inside the levels.
+ */
+const priorLevelsDetector = {
+  createState(dayData, startIndex, config, dayContext) {
+    const settings = getBreakoutDetectorSettings(config);
+    if (settings.priorLevel !== "previousDay" && settings.priorLevel !== "multiDay") {
+      throw new Error(`Unknown prior level: ${settings.priorLevel}`);
+    }
+
+    const anchorSettings = getStopLossAnchorSettings(config);
+    const firstCandle = dayData[startIndex];
+    const firstSwing = getSwingPrices(firstCandle, anchorSettings);
+    const level = dayContext ? {
+      high: dayContext[`${settings.priorLevel}High`],
+      highTime: dayContext[`${settings.priorLevel}HighTime`],
+      highEpoch: dayContext[`${settings.priorLevel}HighEpoch`],
+      low: dayContext[`${settings.priorLevel}Low`],
+      lowTime: dayContext[`${settings.priorLevel}LowTime`],
+      lowEpoch: dayContext[`${settings.priorLevel}LowEpoch`],
+      days: settings.priorLevel === "previousDay" ? 1 : dayContext.rangeDays
+    } : null;
+
+    return {
+      anchorSettings,
+      priorLevel: settings.priorLevel,
+      level: level && level.high !== null ? level : null,
+      dayHigh: firstSwing.high,
+      dayHighTime: firstCandle.timestamp_readable_IST,
+      dayLow: firstSwing.low,
+      dayLowTime: firstCandle.timestamp_readable_IST
+    };
+  },
+
+  detect(state, dayData, index) {
+    const candle = dayData[index];
+    const swing = getSwingPrices(candle, state.anchorSettings);
+
+    if (swing.high > state.dayHigh) {
+      state.dayHigh = swing.high;
+      state.dayHighTime = candle.timestamp_readable_IST;
+    }
+
+    if (swing.low < state.dayLow) {
+      state.dayLow = swing.low;
+      state.dayLowTime = candle.timestamp_readable_IST;
+    }
+
+    const level = state.level;
+    if (!level) {
+      return [];
+    }
+
+    const previousSwing = getSwingPrices(dayData[index - 1], state.anchorSettings);
+    const details = {
+      priorLevel: state.priorLevel,
+      priorLevelDays: level.days,
+      priorLevelHigh: level.high,
+      priorLevelLow: level.low
+    };
+    const minutesSince = epoch => Math.round((candle.timestamp_epoch - epoch) / 60);
+    const signals = [];
+
+    const isAbove = price => price > level.high + 0.05;
+    const isBelow = price => price < level.low - 0.05;
+
+    if (isAbove(swing.high) && !isAbove(previousSwing.high)) {
+      signals.push({
+        type: "long",
+        valid: true,
+        breakoutPrice: level.high,
+        stopLossPrice: state.dayLow,
+        stopLossTime: state.dayLowTime,
+        previousExtremeTime: level.highTime,
+        previousExtremeType: `${state.priorLevel}High`,
+        timeSincePreviousExtreme: minutesSince(level.highEpoch),
+        swingLow: state.dayLow,
+        swingHigh: level.high,
+        details
+      });
+    }
+
+    if (isBelow(swing.low) && !isBelow(previousSwing.low)) {
+      signals.push({
+        type: "short",
+        valid: true,
+        breakoutPrice: level.low,
+        stopLossPrice: state.dayHigh,
+        stopLossTime: state.dayHighTime,
+        previousExtremeTime: level.lowTime,
+        previousExtremeType: `${state.priorLevel}Low`,
+        timeSincePreviousExtreme: minutesSince(level.lowEpoch),
+        swingLow: level.low,
+        swingHigh: state.dayHigh,
+        details
+      });
+    }
+
+    return signals;
+  }
+};
+
+/**
+ * Breakout detectors by name
+ */
+const breakoutDetectors = {
+  swingThreshold: swingThresholdDetector,
+  openingRange: openingRangeDetector,
+  priorLevels: priorLevelsDetector
+};
+
+/**
+ * Get the breakout detector selected in configuration
+ * @param {Object} config - Configuration object with optional breakoutDetector settings
+ * @returns {Object} - Detector with createState and detect, plus its name
+ */
+function getBreakoutDetector(config) {
+  const type = getBreakoutDetectorSettings(config).type;
+  const detector = breakoutDetectors[type];
+
+  if (!detector) {
+    throw new Error(`Unknown breakout detector: ${type}`);
+  }
+  return { name: type, ...detector };
+}
+
+module.exports = {
+  defaultBreakoutDetectorConfig,
+  breakoutDetectors,
+  getBreakoutDetectorSettings,
+  getBreakoutDetector,
+  isTimeThresholdMet
+};
@@ -0,0 +1,115 @@
+/**
+ * Declarative indicator filters for breakouts.
+ *
+ * Each side has a list of rules that must all pass at the breakout candle, e.g.
+ * "long only above VWAP and ADX > 20":
+ *   long: [
+ *     { indicator: "close", operator: ">", value: "vwap" },
+ *     { indicator: "adx", operator: ">", value: 20 }
+ *   ]
+ * A rule's value is either a number or the name of another indicator. Rules on indicators
+ * that are not available yet (e.g. ADX in the first minutes of the day) fail.
+ */
+const { defaultIndicatorSettings, calculateDayIndicators } = require('./indicators');
+
+/**
+ * Default breakout filter configuration (no filters)
+ */
+const defaultBreakoutFiltersConfig = {
+  enabled: false, // Gate breakouts with indicator rules
+  indicators: {
+    ...defaultIndicatorSettings // Indicator periods (see indicators.js)
+  },
+  long: [], // Rules for long breakouts, e.g. { indicator: "close", operator: ">", value: "vwap" }
+  short: [] // Rules for short breakouts, e.g. { indicator: "adx", operator: ">", value: 20 }
+};
+
+/**
+ * Comparison operators available to rules
+ */
+const filterOperators = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b
+};
+
+/**
+ * Resolve breakout filter settings from configuration
+ * @param {Object} config - Configuration object with optional breakoutFilters settings
+ * @returns {Object} - Breakout filter settings
+ */
+function getBreakoutFilterSettings(config) {
+  const filters = config.breakoutFilters || {};
+  return {
+    ...defaultBreakoutFiltersConfig,
+    ...filters,
+    indicators: { ...defaultIndicatorSettings, ...(filters.indicators || {}) }
+  };
+}
+
+/**
+ * Calculate the day's indicators when breakout filters are enabled
+ * @param {Array} dayData - Candle data for the day
+ * @param {Object} config - Configuration object with optional breakoutFilters settings
+ * @returns {Array|null} - Indicator values per candle, or null when filters are disabled
+ */
+function calculateFilterIndicators(dayData, config) {
+  if (!config.breakoutFilters?.enabled) {
+    return null;
+  }
+  return calculateDayIndicators(dayData, getBreakoutFilterSettings(config).indicators);
+}
+
+/**
+ * Describe a rule for messages and reports
+ * @param {Object} rule - Filter rule
+ * @returns {string} - e.g. "adx > 20"
+ */
+function describeRule(rule) {
+  return `${rule.indicator} ${rule.operator} ${rule.value}`;
+}
+
+/**
+ * Evaluate the filter rules of one side against the indicator values at the breakout candle
+ * @param {string} side - "long" or "short"
+ * @param {Object|null} indicatorValues - Indicator values from calculateFilterIndicators
+ * @param {Object} config - Configuration object with optional breakoutFilters settings
+ * @returns {Object} - { passed, failedRules, indicators }
+ */
+function evaluateBreakoutFilters(side, indicatorValues, config) {
+  if (!config.breakoutFilters?.enabled || !indicatorValues) {
+    return { passed: true, failedRules: [], indicators: null };
+  }
+
+  const rules = getBreakoutFilterSettings(config)[side] || [];
+  const failedRules = [];
+
+  for (const rule of rules) {
+    const compare = filterOperators[rule.operator];
+    if (!compare) {
+      throw new Error(`Unknown breakout filter operator: ${rule.operator}`);
+    }
+
+    const left = indicatorValues[rule.indicator];
+    const right = typeof rule.value === 'string' ? indicatorValues[rule.value] : rule.value;
+
+    if (left === null || left === undefined || right === null || right === undefined || !compare(left, right)) {
+      failedRules.push(describeRule(rule));
+    }
+  }
+
+  return {
+    passed: failedRules.length === 0,
+    failedRules,
+    indicators: indicatorValues
+  };
+}
+
+module.exports = {
+  defaultBreakoutFiltersConfig,
+  filterOperators,
+  getBreakoutFilterSettings,
+  calculateFilterIndicators,
+  evaluateBreakoutFilters
+};
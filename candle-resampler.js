@@ -0,0 +1,171 @@
+/**
+ * Resample intraday candles to higher timeframes.
+ *
+ * Bars are aligned to the session open (09:15 IST by default), so a 5-minute series
+ * has bars covering 09:15-09:19, 09:20-09:24 and so on. Each bar keeps a reference to the
+ * 1-minute candles it was built from so fills can still be simulated on the base series.
+ *
+ * A bar is stamped with the timestamp of its last 1-minute candle (09:19 for the 09:15 bar),
+ * not its start: it holds data up to that minute, so time checks (entry cutoff, time exits,
+ * pre-market exits) read it exactly like the 1-minute candle that completes it. The start
+ * of the bar is kept in barStartTime.
+ */
+
+/**
+ * Default timeframe configuration (raw 1-minute candles)
+ */
+const defaultTimeframeConfig = {
+  interval: "1m", // Bar size for breakout detection: "1m", "3m", "5m", "15m", "1h" or minutes as a number
+  alignTo: "09:15", // Session time (24-hour) that bars are aligned to
+  fillsOnBaseCandles: false // Detect on the resampled bars but simulate entry fills and exits on the 1-minute candles
+};
+
+/**
+ * Convert a timeframe to minutes
+ * @param {string|number} timeframe - Timeframe such as "5m", "15min", "1h" or a number of minutes
+ * @returns {number} - Timeframe in minutes
+ */
+function parseTimeframe(timeframe) {
+  if (typeof timeframe === 'number' && timeframe > 0) {
+    return timeframe;
+  }
+
+  const match = /^(\d+)\s*(m|min|mins|minute|minutes|h|hr|hour|hours)?$/i.exec(String(timeframe).trim());
+  if (!match || parseInt(match[1], 10) <= 0) {
+    throw new Error(`Invalid timeframe: ${timeframe}`);
+  }
+
+  const value = parseInt(match[1], 10);
+  const unit = (match[2] || 'm').toLowerCase();
+  return unit.startsWith('h') ? value * 60 : value;
+}
+
+/**
+ * Get minutes since midnight from a candle timestamp
+ * @param {string} timestamp - Timestamp in format "DD/MM/YYYY hh:mm AM/PM"
+ * @returns {number} - Minutes since midnight
+ */
+function getMinuteOfDay(timestamp) {
+  const [, timePart, meridiem] = timestamp.split(' ');
+  let [hours, minutes] = timePart.split(':').map(part => parseInt(part, 10));
+
+  if (meridiem === 'PM' && hours < 12) {
+    hours += 12;
+  } else if (meridiem === 'AM' && hours === 12) {
+    hours = 0;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the timestamp of the first minute covered by a candle or resampled bar
+ * @param {Object} candle - Raw candle or bar from resampleDayCandles
+ * @returns {string} - Timestamp in format "DD/MM/YYYY hh:mm AM/PM"
+ */
+function getCandleStartTimestamp(candle) {
+  return candle.barStartTime || candle.timestamp_readable_IST;
+}
+
+/**
+ * Build a readable IST timestamp for a bar start
+ * @param {string} datePart - Date in DD/MM/YYYY format
+ * @param {number} minuteOfDay - Minutes since midnight
+ * @returns {string} - Timestamp in format "DD/MM/YYYY hh:mm AM/PM"
+ */
+function formatBarTimestamp(datePart, minuteOfDay) {
+  const hours24 = Math.floor(minuteOfDay / 60);
+  const minutes = minuteOfDay % 60;
+  const meridiem = hours24 >= 12 ? 'PM' : 'AM';
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+
+  return `${datePart} ${String(hours12).padStart(2, '0')}:${String(minutes).padStart(2, '0')} ${meridiem}`;
+}
+
+/**
+ * Aggregate one day's candles into aligned OHLCV bars
+ * @param {Array} dayData - Candle data for the day (in time order)
+ * @param {number} timeframeMinutes - Bar size in minutes
+ * @param {string} alignTo - Session time (24-hour "HH:MM") that bars are aligned to
+ * @returns {Array} - Bars with OHLCV, stamped with their last candle, with the bar start timestamp and the source candles
+ */
+function resampleDayCandles(dayData, timeframeMinutes, alignTo = defaultTimeframeConfig.alignTo) {
+  if (!dayData || dayData.length === 0 || timeframeMinutes <= 1) {
+    return dayData;
+  }
+
+  const [alignHours, alignMinutes] = alignTo.split(':').map(part => parseInt(part, 10));
+  const anchorMinute = alignHours * 60 + alignMinutes;
+  const bars = [];
+  let currentBar = null;
+
+  for (const candle of dayData) {
+    const minuteOfDay = getMinuteOfDay(candle.timestamp_readable_IST);
+    const bucketStart = anchorMinute + Math.floor((minuteOfDay - anchorMinute) / timeframeMinutes) * timeframeMinutes;
+
+    if (!currentBar || currentBar.bucketStart !== bucketStart) {
+      const datePart = candle.timestamp_readable_IST.split(' ')[0];
+      currentBar = {
+        bucketStart: bucketStart,
+        bar: {
+          timestamp_readable_IST: candle.timestamp_readable_IST,
+          timestamp_epoch: candle.timestamp_epoch,
+          barStartTime: formatBarTimestamp(datePart, bucketStart),
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume || 0,
+          timeframeMinutes: timeframeMinutes,
+          sourceCandles: [candle]
+        }
+      };
+      bars.push(currentBar.bar);
+      continue;
+    }
+
+    const bar = currentBar.bar;
+    bar.timestamp_readable_IST = candle.timestamp_readable_IST;
+    bar.timestamp_epoch = candle.timestamp_epoch;
+    bar.high = Math.max(bar.high, candle.high);
+    bar.low = Math.min(bar.low, candle.low);
+    bar.close = candle.close;
+    bar.volume += candle.volume || 0;
+    bar.sourceCandles.push(candle);
+  }
+
+  return bars;
+}
+
+/**
+ * Resample a day's candles according to the timeframe configuration
+ * @param {Array} dayData - Candle data for the day
+ * @param {Object} config - Configuration object with optional timeframe settings
+ * @returns {Array} - Resampled bars, or the original candles for a 1-minute timeframe
+ */
+function resampleForConfig(dayData, config) {
+  const settings = { ...defaultTimeframeConfig, ...(config.timeframe || {}) };
+  return resampleDayCandles(dayData, parseTimeframe(settings.interval), settings.alignTo);
+}
+
+/**
+ * Recover the base candles from resampled bars
+ * @param {Array} bars - Bars from resampleDayCandles (or raw candles)
+ * @returns {Array} - The underlying candles in time order
+ */
+function getBaseCandles(bars) {
+  if (!bars || bars.length === 0 || !bars[0].sourceCandles) {
+    return bars;
+  }
+  return bars.reduce((candles, bar) => candles.concat(bar.sourceCandles), []);
+}
+
+module.exports = {
+  defaultTimeframeConfig,
+  parseTimeframe,
+  getMinuteOfDay,
+  getCandleStartTimestamp,
+  resampleDayCandles,
+  resampleForConfig,
+  getBaseCandles
+};
@@ -0,0 +1,288 @@
+/**
+ * Candlestick pattern recognition for breakout and pullback confirmation.
+ *
+ * Patterns are recognised on the candle they complete on (multi-candle patterns look back
+ * at the preceding candles only, so there is no lookahead). Each pattern has its own
+ * tolerances. Patterns found around the breakout and pullback candles are attached to the
+ * trade and can be required as entry confirmation per side.
+ */
+
+/**
+ * Default pattern tolerances
+ */
+const defaultPatternTolerances = {
+  doji: { maxBodyPercent: 10 }, // Body at most this % of the candle range
+  hammer: { minShadowToBody: 2, maxOppositeShadowRatio: 0.5 }, // Bullish body, lower shadow > body × minShadowToBody, upper shadow < lower shadow × ratio
+  shootingStar: { minShadowToBody: 2, maxOppositeShadowRatio: 0.5 }, // Bearish body, mirror of the hammer
+  engulfing: { minBodyRatio: 1 }, // Body at least this multiple of the previous (opposite colour) body, which it covers
+  insideBar: { tolerancePercent: 0 }, // High/low may poke out of the previous range by this % of that range
+  outsideBar: { tolerancePercent: 0 }, // High/low must exceed the previous range by more than this % of that range
+  star: { maxMiddleBodyPercent: 30, minRetracePercent: 50 }, // Morning/evening star: small middle body (% of first body), third candle retraces this % of the first body
+  pinBar: { minNosePercent: 66, maxBodyPercent: 25 } // Nose (long wick) at least this % of the range, body at most this %
+};
+
+/**
+ * Default candlestick pattern configuration
+ */
+const defaultCandlestickPatternsConfig = {
+  enabled: false, // Detect patterns around breakout and pullback candles and report performance per pattern
+  windowCandles: 2, // Candles ending at the breakout/pullback candle that are scanned
+  tolerances: {
+    ...defaultPatternTolerances
+  },
+  requireConfirmation: false, // Only place the pullback entry once a required pattern has been seen
+  requiredPatterns: { // Any one of these confirms the side
+    long: ["hammer", "bullishEngulfing", "bullishPinBar", "morningStar"],
+    short: ["shootingStar", "bearishEngulfing", "bearishPinBar", "eveningStar"]
+  }
+};
+
+/**
+ * Candle measurements used by the pattern checks
+ * @param {Object} candle - Candle object with open, high, low, close
+ * @returns {Object} - Body, range, shadows and colour
+ */
+function measureCandle(candle) {
+  const bodyHigh = Math.max(candle.open, candle.close);
+  const bodyLow = Math.min(candle.open, candle.close);
+  return {
+    body: bodyHigh - bodyLow,
+    bodyHigh,
+    bodyLow,
+    range: candle.high - candle.low,
+    upperShadow: candle.high - bodyHigh,
+    lowerShadow: bodyLow - candle.low,
+    bullish: candle.close > candle.open,
+    bearish: candle.close < candle.open
+  };
+}
+
+/**
+ * Pattern checks by name - each receives the day's candles, the index of the completing candle
+ * and the pattern tolerances
+ */
+const patternChecks = {
+  doji: (dayData, index, tolerances) => {
+    const current = measureCandle(dayData[index]);
+    return current.range > 0 && current.body <= (current.range * tolerances.doji.maxBodyPercent) / 100;
+  },
+
+  hammer: (dayData, index, tolerances) => {
+    const candle = dayData[index];
+    const { minShadowToBody, maxOppositeShadowRatio } = tolerances.hammer;
+    return candle.close > candle.open && // Bullish candle
+      (candle.high - candle.close) < (candle.open - candle.low) * maxOppositeShadowRatio && // Small upper shadow
+      (candle.open - candle.low) > (candle.close - candle.open) * minShadowToBody; // Long lower shadow
+  },
+
+  shootingStar: (dayData, index, tolerances) => {
+    const candle = dayData[index];
+    const { minShadowToBody, maxOppositeShadowRatio } = tolerances.shootingStar;
+    return candle.close < candle.open && // Bearish candle
+      (candle.close - candle.low) < (candle.high - candle.open) * maxOppositeShadowRatio && // Small lower shadow
+      (candle.high - candle.open) > (candle.open - candle.close) * minShadowToBody; // Long upper shadow
+  },
+
+  bullishEngulfing: (dayData, index, tolerances) => {
+    if (index < 1) return false;
+    const previous = measureCandle(dayData[index - 1]);
+    const current = measureCandle(dayData[index]);
+    return previous.bearish && current.bullish &&
+      current.bodyLow <= previous.bodyLow && current.bodyHigh >= previous.bodyHigh &&
+      current.body >= previous.body * tolerances.engulfing.minBodyRatio;
+  },
+
+  bearishEngulfing: (dayData, index, tolerances) => {
+    if (index < 1) return false;
+    const previous = measureCandle(dayData[index - 1]);
+    const current = measureCandle(dayData[index]);
+    return previous.bullish && current.bearish &&
+      current.bodyLow <= previous.bodyLow && current.bodyHigh >= previous.bodyHigh &&
+      current.body >= previous.body * tolerances.engulfing.minBodyRatio;
+  },
+
+  insideBar: (dayData, index, tolerances) => {
+    if (index < 1) return false;
+    const previous = dayData[index - 1];
+    const candle = dayData[index];
+    const allowance = ((previous.high - previous.low) * tolerances.insideBar.tolerancePercent) / 100;
+    return candle.high <= previous.high + allowance && candle.low >= previous.low - allowance &&
+      (candle.high < previous.high || candle.low > previous.low);
+  },
+
+  outsideBar: (dayData, index, tolerances) => {
+    if (index < 1) return false;
+    const previous = dayData[index - 1];
+    const candle = dayData[index];
+    const margin = ((previous.high - previous.low) * tolerances.outsideBar.tolerancePercent) / 100;
+    return candle.high > previous.high + margin && candle.low < previous.low - margin;
+  },
+
+  morningStar: (dayData, index, tolerances) => {
+    if (index < 2) return false;
+    const first = measureCandle(dayData[index - 2]);
+    const middle = measureCandle(dayData[index - 1]);
+    const third = dayData[index];
+    const { maxMiddleBodyPercent, minRetracePercent } = tolerances.star;
+    return first.bearish && first.body > 0 &&
+      middle.body <= (first.body * maxMiddleBodyPercent) / 100 &&
+      middle.bodyHigh <= first.bodyLow + (first.body * maxMiddleBodyPercent) / 100 && // Middle candle sits at the bottom of the first
+      third.close > third.open &&
+      third.close >= first.bodyLow + (first.body * minRetracePercent) / 100;
+  },
+
+  eveningStar: (dayData, index, tolerances) => {
+    if (index < 2) return false;
+    const first = measureCandle(dayData[index - 2]);
+    const middle = measureCandle(dayData[index - 1]);
+    const third = dayData[index];
+    const { maxMiddleBodyPercent, minRetracePercent } = tolerances.star;
+    return first.bullish && first.body > 0 &&
+      middle.body <= (first.body * maxMiddleBodyPercent) / 100 &&
+      middle.bodyLow >= first.bodyHigh - (first.body * maxMiddleBodyPercent) / 100 && // Middle candle sits at the top of the first
+      third.close < third.open &&
+      third.close <= first.bodyHigh - (first.body * minRetracePercent) / 100;
+  },
+
+  bullishPinBar: (dayData, index, tolerances) => {
+    const current = measureCandle(dayData[index]);
+    const { minNosePercent, maxBodyPercent } = tolerances.pinBar;
+    return current.range > 0 &&
+      current.lowerShadow >= (current.range * minNosePercent) / 100 &&
+      current.body <= (current.range * maxBodyPercent) / 100;
+  },
+
+  bearishPinBar: (dayData, index, tolerances) => {
+    const current = measureCandle(dayData[index]);
+    const { minNosePercent, maxBodyPercent } = tolerances.pinBar;
+    return current.range > 0 &&
+      current.upperShadow >= (current.range * minNosePercent) / 100 &&
+      current.body <= (current.range * maxBodyPercent) / 100;
+  }
+};
+
+/**
+ * Resolve candlestick pattern settings from configuration
+ * @param {Object} config - Configuration object with optional candlestickPatterns settings
+ * @returns {Object} - Pattern settings with each tolerance merged over its defaults
+ */
+function getCandlestickPatternSettings(config) {
+  const patterns = config.candlestickPatterns || {};
+  const tolerances = {};
+  for (const [pattern, defaults] of Object.entries(defaultPatternTolerances)) {
+    tolerances[pattern] = { ...defaults, ...(patterns.tolerances?.[pattern] || {}) };
+  }
+
+  const settings = {
+    ...defaultCandlestickPatternsConfig,
+    ...patterns,
+    tolerances,
+    requiredPatterns: { ...defaultCandlestickPatternsConfig.requiredPatterns, ...(patterns.requiredPatterns || {}) }
+  };
+
+  for (const side of ["long", "short"]) {
+    const unknownPattern = settings.requiredPatterns[side].find(pattern => !patternChecks[pattern]);
+    if (unknownPattern) {
+      throw new Error(`Unknown candlestick pattern for ${side}: ${unknownPattern}`);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Detect the patterns completed by a candle
+ * @param {Array} dayData - Candle data for the day
+ * @param {number} index - Index of the candle
+ * @param {Object} tolerances - Pattern tolerances
+ * @returns {Array} - Names of the patterns found
+ */
+function detectPatterns(dayData, index, tolerances = defaultPatternTolerances) {
+  return Object.keys(patternChecks).filter(pattern => patternChecks[pattern](dayData, index, tolerances));
+}
+
+/**
+ * Find the patterns completed within the window of candles ending at an index
+ * @param {Array} dayData - Candle data for the day
+ * @param {number} index - Index of the breakout or pullback candle
+ * @param {Object} settings - Candlestick pattern settings
+ * @returns {Array} - Patterns found, each { pattern, time } (oldest first)
+ */
+function findPatternsAround(dayData, index, settings) {
+  const found = [];
+  for (let j = Math.max(0, index - settings.windowCandles + 1); j <= index; j++) {
+    for (const pattern of detectPatterns(dayData, j, settings.tolerances)) {
+      found.push({ pattern, time: dayData[j].timestamp_readable_IST });
+    }
+  }
+  return found;
+}
+
+/**
+ * Check whether the patterns seen so far confirm an entry on a side
+ * @param {string} side - "long" or "short"
+ * @param {Array} foundPatterns - Patterns from findPatternsAround
+ * @param {Object} settings - Candlestick pattern settings
+ * @returns {Object} - { confirmed, confirmingPattern }
+ */
+function isEntryConfirmed(side, foundPatterns, settings) {
+  if (!settings.enabled || !settings.requireConfirmation) {
+    return { confirmed: true, confirmingPattern: null };
+  }
+
+  const match = foundPatterns.find(found => settings.requiredPatterns[side].includes(found.pattern));
+  return { confirmed: Boolean(match), confirmingPattern: match ? match.pattern : null };
+}
+
+/**
+ * Unique pattern names of a trade's breakout and pullback patterns
+ * @param {Object} patternDetails - { breakout, pullback } lists from findPatternsAround
+ * @returns {Array} - Pattern names in the order first seen
+ */
+function listPatternNames(patternDetails) {
+  return [...new Set([...patternDetails.breakout, ...patternDetails.pullback].map(found => found.pattern))];
+}
+
+/**
+ * Break trade performance down by candlestick pattern
+ * @param {Array} trades - Actual trades with a patterns list
+ * @returns {Object} - Trades, win rate and profit per pattern (a trade counts once for each of its patterns)
+ */
+function summarizeByPattern(trades) {
+  const byPattern = {};
+  const addTrade = (name, trade) => {
+    if (!byPattern[name]) {
+      byPattern[name] = { trades: 0, winningTrades: 0, netProfit: 0 };
+    }
+    byPattern[name].trades++;
+    byPattern[name].netProfit += trade.netProfit || trade.profit || 0;
+    if ((trade.netProfit || trade.profit || 0) > 0) {
+      byPattern[name].winningTrades++;
+    }
+  };
+
+  for (const trade of trades) {
+    const names = trade.patterns || [];
+    if (names.length === 0) {
+      addTrade("none", trade);
+    }
+    names.forEach(name => addTrade(name, trade));
+  }
+
+  for (const stats of Object.values(byPattern)) {
+    stats.winRate = (stats.winningTrades / stats.trades) * 100;
+    stats.averageNetProfit = stats.netProfit / stats.trades;
+  }
+  return byPattern;
+}
+
+module.exports = {
+  defaultPatternTolerances,
+  defaultCandlestickPatternsConfig,
+  patternChecks,
+  getCandlestickPatternSettings,
+  detectPatterns,
+  findPatternsAround,
+  isEntryConfirmed,
+  listPatternNames,
+  summarizeByPattern
+};
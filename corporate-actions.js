@@ -0,0 +1,214 @@
+/**
+ * Corporate action adjustment for split and bonus events.
+ *
+ * Prices on days before an ex-date are multiplied by the action's price factor and volumes
+ * divided by it, so the whole series is comparable with post-action prices. The raw candles
+ * are kept alongside the adjusted ones for reporting.
+ *
+ * Corporate actions file format (keyed by symbol, or a plain array for a single stock):
+ * {
+ *   "TCS": [
+ *     { "exDate": "31/05/2018", "type": "bonus", "bonusShares": 1, "heldShares": 1 },
+ *     { "exDate": "DD/MM/YYYY", "type": "split", "oldFaceValue": 10, "newFaceValue": 1 },
+ *     { "exDate": "DD/MM/YYYY", "type": "custom", "priceFactor": 0.5 }
+ *   ]
+ * }
+ */
+const fs = require('fs');
+
+/**
+ * Default corporate action configuration
+ */
+const defaultCorporateActionsConfig = {
+  enabled: false, // Back-adjust prices and volumes for splits and bonuses before backtesting
+  file: null, // Path to a corporate actions JSON file
+  actions: [] // Inline actions for the stock being tested (added to those from the file)
+};
+
+/**
+ * Price factor calculators by action type
+ */
+const actionTypes = {
+  split: action => action.newFaceValue / action.oldFaceValue,
+  bonus: action => action.heldShares / (action.heldShares + action.bonusShares),
+  custom: action => action.priceFactor
+};
+
+/**
+ * Parse a DD/MM/YYYY date into a comparable number
+ * @param {string} dateStr - Date string in DD/MM/YYYY format
+ * @returns {number} - Date as YYYYMMDD
+ */
+function toDateNumber(dateStr) {
+  const [day, month, year] = dateStr.split('/').map(part => parseInt(part, 10));
+  return year * 10000 + month * 100 + day;
+}
+
+/**
+ * Calculate the price factor of a corporate action
+ * @param {Object} action - Corporate action with exDate and type
+ * @returns {number} - Multiplier applied to prices before the ex-date
+ */
+function getPriceFactor(action) {
+  const calculateFactor = actionTypes[action.type];
+  if (!calculateFactor) {
+    throw new Error(`Unknown corporate action type: ${action.type}`);
+  }
+
+  const priceFactor = calculateFactor(action);
+  if (!(priceFactor > 0)) {
+    throw new Error(`Invalid ${action.type} corporate action on ${action.exDate}`);
+  }
+  return priceFactor;
+}
+
+/**
+ * Load the corporate actions for a stock from a file
+ * @param {string} filePath - Path to the corporate actions JSON file
+ * @param {string} stockName - Stock name, e.g. "SBIN-EQ" (also matched without the "-EQ" suffix)
+ * @returns {Array} - Corporate actions for the stock
+ */
+function loadCorporateActions(filePath, stockName) {
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (Array.isArray(content)) {
+    return content;
+  }
+
+  const symbol = (stockName || '').replace(/-EQ$/, '');
+  return content[stockName] || content[symbol] || [];
+}
+
+/**
+ * Back-adjust prices and volumes for corporate actions
+ * @param {Object} stockData - Stock data in the day-keyed layout
+ * @param {Array} actions - Corporate actions for the stock
+ * @returns {Object} - Stock data with adjusted candles, the raw candles and the per-day price factors
+ */
+function adjustStockData(stockData, actions) {
+  const appliedActions = actions
+    .map(action => ({ ...action, priceFactor: getPriceFactor(action) }))
+    .sort((a, b) => toDateNumber(a.exDate) - toDateNumber(b.exDate));
+
+  const adjustedData = {};
+  const adjustmentFactors = {};
+
+  for (const [date, candles] of Object.entries(stockData.data)) {
+    const dateNumber = toDateNumber(date);
+
+    // Cumulative factor of every action that goes ex after this date
+    const priceFactor = appliedActions
+      .filter(action => toDateNumber(action.exDate) > dateNumber)
+      .reduce((factor, action) => factor * action.priceFactor, 1);
+
+    if (priceFactor === 1) {
+      adjustedData[date] = candles;
+      continue;
+    }
+
+    adjustmentFactors[date] = priceFactor;
+    adjustedData[date] = candles.map(candle => ({
+      ...candle,
+      open: parseFloat((candle.open * priceFactor).toFixed(4)),
+      high: parseFloat((candle.high * priceFactor).toFixed(4)),
+      low: parseFloat((candle.low * priceFactor).toFixed(4)),
+      close: parseFloat((candle.close * priceFactor).toFixed(4)),
+      volume: Math.round(candle.volume / priceFactor)
+    }));
+  }
+
+  return {
+    ...stockData,
+    data: adjustedData,
+    rawData: stockData.data,
+    adjustmentFactors,
+    corporateActions: appliedActions
+  };
+}
+
+/**
+ * Apply config.corporateActions to loaded stock data (already adjusted data is returned as-is)
+ * @param {Object} stockData - Stock data in the day-keyed layout
+ * @param {Object} config - Configuration object with optional corporateActions settings
+ * @returns {Object} - Adjusted stock data, or the original data when disabled or nothing applies
+ */
+function applyCorporateActions(stockData, config) {
+  if (!config.corporateActions?.enabled || stockData.rawData) {
+    return stockData;
+  }
+
+  const actions = [
+    ...(config.corporateActions.file ? loadCorporateActions(config.corporateActions.file, stockData.stock_name) : []),
+    ...(config.corporateActions.actions || [])
+  ];
+
+  return actions.length > 0 ? adjustStockData(stockData, actions) : stockData;
+}
+
+/**
+ * Convert an adjusted price back to the raw price traded on a date
+ * @param {number} price - Adjusted price
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Object} stockData - Adjusted stock data from adjustStockData
+ * @returns {number} - Raw price
+ */
+function toRawPrice(price, date, stockData) {
+  const priceFactor = stockData.adjustmentFactors?.[date] || 1;
+  return price / priceFactor;
+}
+
+/**
+ * Attach raw (unadjusted) prices to trades taken on an adjusted date
+ * @param {Array} dayResults - Result objects for one day
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Object} stockData - Stock data, possibly adjusted by adjustStockData
+ * @returns {Array} - The same result objects (trades annotated in place)
+ */
+function annotateRawPrices(dayResults, date, stockData) {
+  const priceFactor = stockData.adjustmentFactors?.[date];
+  if (!priceFactor) {
+    return dayResults;
+  }
+
+  for (const result of dayResults) {
+    if (!result.entry || !result.exit) {
+      continue;
+    }
+    result.corporateActionAdjustment = {
+      priceFactor: priceFactor,
+      rawEntryPrice: toRawPrice(result.entry.price, date, stockData),
+      rawExitPrice: toRawPrice(result.exit.price, date, stockData),
+      rawTarget: toRawPrice(result.target, date, stockData),
+      rawStopLoss: toRawPrice(result.stopLoss, date, stockData),
+      rawShares: Math.round(result.shares * priceFactor)
+    };
+  }
+  return dayResults;
+}
+
+/**
+ * Summarise the corporate actions applied to stock data
+ * @param {Object} stockData - Stock data, possibly adjusted by adjustStockData
+ * @returns {Object|null} - Applied actions and number of adjusted days, or null when none were applied
+ */
+function summarizeCorporateActions(stockData) {
+  if (!stockData.corporateActions) {
+    return null;
+  }
+
+  return {
+    actions: stockData.corporateActions,
+    adjustedDays: Object.keys(stockData.adjustmentFactors).length
+  };
+}
+
+module.exports = {
+  defaultCorporateActionsConfig,
+  actionTypes,
+  getPriceFactor,
+  loadCorporateActions,
+  adjustStockData,
+  applyCorporateActions,
+  toRawPrice,
+  annotateRawPrices,
+  summarizeCorporateActions
+};
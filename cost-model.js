@@ -0,0 +1,149 @@
+/**
+ * Transaction cost model for Indian equity intraday trades.
+ *
+ * Every order is charged brokerage, STT, exchange transaction charges, SEBI fees,
+ * stamp duty and GST according to a named preset. The "flat" preset reproduces the
+ * legacy behaviour of charging capital.brokerageFeePercent on each side.
+ */
+
+/**
+ * Charge types reported for each order, in display order
+ */
+const CHARGE_TYPES = ["brokerage", "stt", "exchangeTransactionCharges", "sebiFees", "stampDuty", "gst"];
+
+/**
+ * Named cost presets (rates in percent of order value unless stated otherwise)
+ */
+const costPresets = {
+  flat: {
+    description: "Flat brokerage percentage on each side (uses capital.brokerageFeePercent)",
+    brokeragePercent: null, // Taken from capital.brokerageFeePercent
+    brokerageFlatPerOrder: 0,
+    brokerageCapPerOrder: null,
+    sttBuyPercent: 0,
+    sttSellPercent: 0,
+    exchangeTransactionPercent: 0,
+    sebiFeePerCrore: 0,
+    stampDutyBuyPercent: 0,
+    gstPercent: 0
+  },
+  nseIntradayEquity: {
+    description: "NSE intraday equity with 0.03% brokerage capped at ₹20 per order",
+    brokeragePercent: 0.03,
+    brokerageFlatPerOrder: 0,
+    brokerageCapPerOrder: 20,
+    sttBuyPercent: 0,
+    sttSellPercent: 0.025, // STT on the sell side only for intraday
+    exchangeTransactionPercent: 0.00297, // NSE transaction charges
+    sebiFeePerCrore: 10, // ₹10 per crore of turnover
+    stampDutyBuyPercent: 0.003, // Stamp duty on the buy side only
+    gstPercent: 18 // GST on brokerage, exchange and SEBI charges
+  },
+  discountBroker: {
+    description: "NSE intraday equity with flat ₹20 brokerage per executed order",
+    brokeragePercent: 0,
+    brokerageFlatPerOrder: 20,
+    brokerageCapPerOrder: null,
+    sttBuyPercent: 0,
+    sttSellPercent: 0.025,
+    exchangeTransactionPercent: 0.00297,
+    sebiFeePerCrore: 10,
+    stampDutyBuyPercent: 0.003,
+    gstPercent: 18
+  },
+  zeroBrokerage: {
+    description: "NSE intraday equity with statutory charges only",
+    brokeragePercent: 0,
+    brokerageFlatPerOrder: 0,
+    brokerageCapPerOrder: null,
+    sttBuyPercent: 0,
+    sttSellPercent: 0.025,
+    exchangeTransactionPercent: 0.00297,
+    sebiFeePerCrore: 10,
+    stampDutyBuyPercent: 0.003,
+    gstPercent: 18
+  }
+};
+
+/**
+ * Resolve the cost model rates from configuration
+ * @param {Object} config - Configuration object with optional costModel settings
+ * @param {Object} capital - Capital configuration (brokerageFeePercent is used by the flat preset)
+ * @returns {Object} - Resolved cost rates including the preset name
+ */
+function getCostModel(config, capital) {
+  const presetName = config.costModel?.preset || "flat";
+  const preset = costPresets[presetName];
+
+  if (!preset) {
+    throw new Error(`Unknown cost model preset: ${presetName}`);
+  }
+
+  const rates = { ...preset, ...(config.costModel?.overrides || {}) };
+  if (rates.brokeragePercent === null || rates.brokeragePercent === undefined) {
+    rates.brokeragePercent = capital?.brokerageFeePercent || 0;
+  }
+
+  return { preset: presetName, ...rates };
+}
+
+/**
+ * Calculate the itemised charges for a single order
+ * @param {number} orderValue - Order value (shares × price)
+ * @param {string} side - "buy" or "sell"
+ * @param {Object} costModel - Resolved cost model from getCostModel
+ * @returns {Object} - Charges by type plus total
+ */
+function calculateOrderCharges(orderValue, side, costModel) {
+  let brokerage = costModel.brokerageFlatPerOrder + (orderValue * costModel.brokeragePercent) / 100;
+  if (costModel.brokerageCapPerOrder !== null && costModel.brokerageCapPerOrder !== undefined) {
+    brokerage = Math.min(brokerage, costModel.brokerageCapPerOrder);
+  }
+
+  const sttPercent = side === "buy" ? costModel.sttBuyPercent : costModel.sttSellPercent;
+  const stt = (orderValue * sttPercent) / 100;
+  const exchangeTransactionCharges = (orderValue * costModel.exchangeTransactionPercent) / 100;
+  const sebiFees = (orderValue * costModel.sebiFeePerCrore) / 10000000;
+  const stampDuty = side === "buy" ? (orderValue * costModel.stampDutyBuyPercent) / 100 : 0;
+  const gst = ((brokerage + exchangeTransactionCharges + sebiFees) * costModel.gstPercent) / 100;
+
+  return {
+    brokerage,
+    stt,
+    exchangeTransactionCharges,
+    sebiFees,
+    stampDuty,
+    gst,
+    total: brokerage + stt + exchangeTransactionCharges + sebiFees + stampDuty + gst
+  };
+}
+
+/**
+ * Add up several itemised charge objects
+ * @param {Array} chargeList - Array of charge objects from calculateOrderCharges
+ * @returns {Object} - Combined charges by type plus total
+ */
+function sumCharges(chargeList) {
+  const combined = { total: 0 };
+  for (const type of CHARGE_TYPES) {
+    combined[type] = 0;
+  }
+
+  for (const charges of chargeList) {
+    if (!charges) continue;
+    for (const type of CHARGE_TYPES) {
+      combined[type] += charges[type] || 0;
+    }
+    combined.total += charges.total || 0;
+  }
+
+  return combined;
+}
+
+module.exports = {
+  CHARGE_TYPES,
+  costPresets,
+  getCostModel,
+  calculateOrderCharges,
+  sumCharges
+};
@@ -0,0 +1,379 @@
+/**
+ * Data loading for backtests.
+ *
+ * Reads the native day-keyed JSON layout as well as CSV, JSON Lines and exports from
+ * common broker and charting tools, and normalises everything into
+ * {stock_name, data_start_date, data_end_date, data: {"DD/MM/YYYY": [candles]}}
+ * with timestamp_readable_IST strings.
+ */
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const IST_TIMEZONE = "Asia/Kolkata";
+
+/**
+ * Default data source configuration (native JSON layout)
+ */
+const defaultDataSourceConfig = {
+  format: "auto", // "auto" (from file extension), "json", "jsonl" or "csv"
+  preset: null, // "zerodhaKite", "upstox" or "tradingView" - fills in columns and dateFormat
+  stockName: null, // Defaults to the file name without extension
+  delimiter: ",", // CSV field delimiter
+  hasHeader: true, // CSV first row holds column names (otherwise columns are zero-based indices)
+  columns: {
+    timestamp: "timestamp", // Combined date and time column
+    date: null, // Separate date column (used with time when timestamp is null)
+    time: null, // Separate time column
+    open: "open",
+    high: "high",
+    low: "low",
+    close: "close",
+    volume: "volume"
+  },
+  dateFormat: "YYYY-MM-DD HH:mm:ss", // moment format, "iso", "epoch" (seconds) or "epochMs"
+  timezone: IST_TIMEZONE // Timezone of timestamps that carry no offset
+};
+
+/**
+ * Broker and charting tool export presets
+ */
+const dataSourcePresets = {
+  zerodhaKite: {
+    description: "Kite Connect historical candles (JSON data.candles arrays or CSV with a date column)",
+    columns: { timestamp: "date", open: "open", high: "high", low: "low", close: "close", volume: "volume" },
+    arrayColumns: { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 },
+    dateFormat: "iso"
+  },
+  upstox: {
+    description: "Upstox historical candles (JSON data.candles arrays or CSV with a timestamp column)",
+    columns: { timestamp: "timestamp", open: "open", high: "high", low: "low", close: "close", volume: "volume" },
+    arrayColumns: { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 },
+    dateFormat: "iso"
+  },
+  tradingView: {
+    description: "TradingView chart data export (CSV with Unix time in seconds)",
+    columns: { timestamp: "time", open: "open", high: "high", low: "low", close: "close", volume: "volume" },
+    dateFormat: "epoch"
+  }
+};
+
+/**
+ * Resolve data source settings from configuration and preset
+ * @param {Object} dataSource - Data source configuration (partial)
+ * @returns {Object} - Resolved settings
+ */
+function getDataSourceSettings(dataSource = {}) {
+  const preset = dataSource.preset ? dataSourcePresets[dataSource.preset] : null;
+
+  if (dataSource.preset && !preset) {
+    throw new Error(`Unknown data source preset: ${dataSource.preset}`);
+  }
+
+  return {
+    ...defaultDataSourceConfig,
+    ...(preset ? { dateFormat: preset.dateFormat } : {}),
+    ...dataSource,
+    columns: {
+      ...defaultDataSourceConfig.columns,
+      ...(preset ? preset.columns : {}),
+      ...(dataSource.columns || {})
+    },
+    arrayColumns: preset?.arrayColumns || { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 }
+  };
+}
+
+/**
+ * Detect the file format from its extension
+ * @param {string} filePath - Path to the data file
+ * @returns {string} - "json", "jsonl" or "csv"
+ */
+function detectFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.csv' || extension === '.txt') {
+    return "csv";
+  }
+  if (extension === '.jsonl' || extension === '.ndjson') {
+    return "jsonl";
+  }
+  return "json";
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} - Field values
+ */
+function parseCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse CSV content into rows
+ * @param {string} content - CSV file content
+ * @param {Object} settings - Resolved data source settings
+ * @returns {Array} - Rows as objects keyed by lower-case header, or arrays when there is no header
+ */
+function parseCsv(content, settings) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+
+  if (!settings.hasHeader) {
+    return lines.map(line => parseCsvLine(line, settings.delimiter));
+  }
+
+  const headers = parseCsvLine(lines[0], settings.delimiter).map(header => header.replace(/^\uFEFF/, '').toLowerCase());
+  return lines.slice(1).map(line => {
+    const fields = parseCsvLine(line, settings.delimiter);
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = fields[index];
+    });
+    return row;
+  });
+}
+
+/**
+ * Read a column value from a row
+ * @param {Object|Array} row - Row object (keyed by column name) or array
+ * @param {string|number|null} column - Column name or zero-based index
+ * @returns {*} - Column value, or undefined if the column is not mapped
+ */
+function getColumnValue(row, column) {
+  if (column === null || column === undefined) {
+    return undefined;
+  }
+  if (Array.isArray(row) || typeof column === 'number') {
+    return row[column];
+  }
+  if (row[column] !== undefined) {
+    return row[column];
+  }
+  return row[String(column).toLowerCase()];
+}
+
+/**
+ * Column mapping for array rows: preset indices overridden by any index columns in the configuration
+ * @param {Object} settings - Resolved data source settings
+ * @returns {Object} - Column mapping with zero-based indices
+ */
+function getIndexColumns(settings) {
+  const indexColumns = { ...settings.arrayColumns };
+  for (const [field, column] of Object.entries(settings.columns)) {
+    if (typeof column === 'number' || column === null) {
+      indexColumns[field] = column;
+    }
+  }
+  return indexColumns;
+}
+
+/**
+ * Parse a timestamp value into an IST moment
+ * @param {*} value - Raw timestamp value
+ * @param {Object} settings - Resolved data source settings
+ * @returns {Object} - moment in the Asia/Kolkata timezone
+ */
+function parseTimestamp(value, settings) {
+  let parsed;
+
+  if (settings.dateFormat === "epoch") {
+    parsed = moment.unix(Number(value));
+  } else if (settings.dateFormat === "epochMs") {
+    parsed = moment(Number(value));
+  } else if (settings.dateFormat === "iso") {
+    parsed = moment.tz(String(value), moment.ISO_8601, settings.timezone);
+  } else {
+    parsed = moment.tz(String(value), settings.dateFormat, true, settings.timezone);
+  }
+
+  return parsed.tz(IST_TIMEZONE);
+}
+
+/**
+ * Normalise one raw row into an internal candle
+ * @param {Object|Array} row - Raw row
+ * @param {number} rowNumber - Row number (for error messages)
+ * @param {Object} settings - Resolved data source settings
+ * @returns {Object} - Candle with timestamp_readable_IST, timestamp_epoch and OHLCV
+ */
+function normalizeCandle(row, rowNumber, settings) {
+  const columns = Array.isArray(row) ? getIndexColumns(settings) : settings.columns;
+
+  const rawTimestamp = columns.timestamp !== null && columns.timestamp !== undefined ?
+    getColumnValue(row, columns.timestamp) :
+    `${getColumnValue(row, columns.date)} ${getColumnValue(row, columns.time)}`;
+
+  if (rawTimestamp === undefined || rawTimestamp === '') {
+    throw new Error(`Missing timestamp on row ${rowNumber}`);
+  }
+
+  const timestamp = parseTimestamp(rawTimestamp, settings);
+  if (!timestamp.isValid()) {
+    throw new Error(`Invalid timestamp "${rawTimestamp}" on row ${rowNumber} (expected ${settings.dateFormat})`);
+  }
+
+  const candle = {
+    timestamp_readable_IST: timestamp.format("DD/MM/YYYY hh:mm A"),
+    timestamp_epoch: timestamp.unix(),
+    open: Number(getColumnValue(row, columns.open)),
+    high: Number(getColumnValue(row, columns.high)),
+    low: Number(getColumnValue(row, columns.low)),
+    close: Number(getColumnValue(row, columns.close)),
+    volume: Number(getColumnValue(row, columns.volume) || 0)
+  };
+
+  for (const field of ["open", "high", "low", "close"]) {
+    if (!Number.isFinite(candle[field])) {
+      throw new Error(`Invalid ${field} value on row ${rowNumber}`);
+    }
+  }
+
+  return candle;
+}
+
+/**
+ * Group candles into the internal day-keyed structure
+ * @param {Array} candles - Normalised candles
+ * @param {string} stockName - Stock name to record
+ * @returns {Object} - Stock data object keyed by DD/MM/YYYY
+ */
+function buildDayKeyedData(candles, stockName) {
+  const sortedCandles = [...candles].sort((a, b) => a.timestamp_epoch - b.timestamp_epoch);
+  const data = {};
+
+  for (const candle of sortedCandles) {
+    const date = candle.timestamp_readable_IST.split(' ')[0];
+    if (!data[date]) {
+      data[date] = [];
+    }
+    data[date].push(candle);
+  }
+
+  const dates = Object.keys(data);
+
+  return {
+    stock_name: stockName,
+    data_start_date: dates.length > 0 ? dates[0] : null,
+    data_end_date: dates.length > 0 ? dates[dates.length - 1] : null,
+    data: data
+  };
+}
+
+/**
+ * Extract raw rows from parsed JSON (array of records or data.candles arrays)
+ * @param {*} json - Parsed JSON content
+ * @returns {Array|null} - Raw rows, or null if the JSON is already in the native layout
+ */
+function getJsonRows(json) {
+  if (json && json.data && !Array.isArray(json.data) && !json.data.candles) {
+    return null;
+  }
+  if (Array.isArray(json)) {
+    return json;
+  }
+  if (Array.isArray(json?.data?.candles)) {
+    return json.data.candles;
+  }
+  if (Array.isArray(json?.candles)) {
+    return json.candles;
+  }
+  if (Array.isArray(json?.data)) {
+    return json.data;
+  }
+  throw new Error('Unrecognised JSON data layout');
+}
+
+/**
+ * Normalise already-read file content into the internal day-keyed structure
+ * @param {string} content - File content
+ * @param {Object} dataSource - Data source configuration
+ * @param {string} defaultStockName - Stock name used when none is configured
+ * @returns {Object} - Stock data object
+ */
+function parseStockData(content, dataSource = {}, defaultStockName = null) {
+  const settings = getDataSourceSettings(dataSource);
+  const stockName = settings.stockName || defaultStockName;
+  let rows;
+
+  if (settings.format === "csv") {
+    rows = parseCsv(content, settings);
+  } else if (settings.format === "jsonl") {
+    rows = content.split(/\r?\n/).filter(line => line.trim() !== '').map(line => JSON.parse(line));
+  } else {
+    const json = JSON.parse(content);
+    rows = getJsonRows(json);
+
+    // Native layout is used as-is
+    if (rows === null) {
+      return json;
+    }
+  }
+
+  const candles = rows.map((row, index) => normalizeCandle(row, index + 1, settings));
+  return buildDayKeyedData(candles, stockName);
+}
+
+/**
+ * Load stock data from a file in any supported format
+ * @param {string} filePath - Path to the data file
+ * @param {Object} dataSource - Data source configuration
+ * @returns {Object} - Stock data object in the internal day-keyed structure
+ */
+function loadStockData(filePath, dataSource = {}) {
+  const format = !dataSource.format || dataSource.format === "auto" ? detectFormat(filePath) : dataSource.format;
+  const content = fs.readFileSync(filePath, 'utf8');
+  const defaultStockName = path.basename(filePath, path.extname(filePath));
+
+  return parseStockData(content, { ...dataSource, format }, defaultStockName);
+}
+
+// Convert a data file to the native JSON layout: node data-loader.js <input> <output.json> [preset]
+if (require.main === module) {
+  const [inputPath, outputPath, preset] = process.argv.slice(2);
+
+  if (!inputPath || !outputPath) {
+    console.log('Usage: node data-loader.js <input.csv|.jsonl|.json> <output.json> [preset]');
+    console.log(`Presets: ${Object.keys(dataSourcePresets).join(', ')}`);
+    process.exit(1);
+  }
+
+  const stockData = loadStockData(inputPath, { preset: preset || null });
+  fs.writeFileSync(outputPath, JSON.stringify(stockData, null, 2));
+  console.log(`Converted ${Object.keys(stockData.data).length} trading days (${stockData.data_start_date} to ${stockData.data_end_date}) to ${outputPath}`);
+}
+
+module.exports = {
+  defaultDataSourceConfig,
+  dataSourcePresets,
+  getDataSourceSettings,
+  parseCsv,
+  parseStockData,
+  loadStockData
+};
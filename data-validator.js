@@ -0,0 +1,283 @@
+/**
+ * Data quality checks for day-keyed stock data.
+ *
+ * Scans every day for missing minutes, duplicate and out-of-order timestamps, invalid
+ * OHLC ranges, non-positive volume, epoch/readable timestamp disagreements, prices off
+ * the tick size and abnormal candle counts, and produces a machine-readable report.
+ */
+const fs = require('fs');
+const moment = require('moment-timezone');
+const { loadStockData } = require('./data-loader');
+
+/**
+ * Issue types reported by the validator
+ */
+const ISSUE_TYPES = [
+  "missingMinutes",
+  "duplicateTimestamp",
+  "outOfOrder",
+  "invalidPriceRange",
+  "nonPositiveVolume",
+  "epochMismatch",
+  "offTickPrice",
+  "abnormalCandleCount"
+];
+
+/**
+ * Default data validation configuration
+ */
+const defaultDataValidationConfig = {
+  enabled: false, // Validate the data before the backtest runs
+  action: "skip", // "skip" flagged days, "refuse" to run when any day is flagged, or "report" only
+  flagOn: ["duplicateTimestamp", "outOfOrder", "invalidPriceRange", "epochMismatch"], // Issue types that flag a day
+  tickSize: 0.05, // Prices must be multiples of this
+  sessionStart: "09:15", // First expected candle (24-hour format HH:MM)
+  sessionEnd: "15:29", // Last expected candle (24-hour format HH:MM)
+  candleCountTolerancePercent: 10 // Allowed deviation from the expected candle count before a day is abnormal
+};
+
+/**
+ * Parse a readable IST timestamp into a moment
+ * @param {string} timestamp - Timestamp in format "DD/MM/YYYY hh:mm AM/PM"
+ * @returns {Object} - moment in the Asia/Kolkata timezone
+ */
+function parseReadableTimestamp(timestamp) {
+  return moment.tz(timestamp, "DD/MM/YYYY hh:mm A", true, "Asia/Kolkata");
+}
+
+/**
+ * Convert a 24-hour time string to minutes since midnight
+ * @param {string} timeStr - Time string in format "HH:MM"
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a price is a multiple of the tick size
+ * @param {number} price - Price to check
+ * @param {number} tickSize - Tick size
+ * @returns {boolean} - Whether the price sits on the tick grid
+ */
+function isOnTick(price, tickSize) {
+  const ticks = price / tickSize;
+  return Math.abs(ticks - Math.round(ticks)) < 1e-6;
+}
+
+/**
+ * Validate the candles of a single day
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Array} dayData - Candle data for the day
+ * @param {Object} settings - Resolved validation settings
+ * @returns {Object} - Day report with issues, counts by type and whether the day is flagged
+ */
+function validateDay(date, dayData, settings) {
+  const issues = [];
+  const candles = dayData || [];
+  const sessionStartMinute = toMinutes(settings.sessionStart);
+  const sessionEndMinute = toMinutes(settings.sessionEnd);
+  const expectedCandles = sessionEndMinute - sessionStartMinute + 1;
+
+  const seenTimestamps = new Set();
+  let previousMoment = null;
+
+  candles.forEach((candle, index) => {
+    const time = candle.timestamp_readable_IST;
+    const parsed = parseReadableTimestamp(time);
+
+    // Duplicate timestamps
+    if (seenTimestamps.has(time)) {
+      issues.push({ type: "duplicateTimestamp", index, time });
+    }
+    seenTimestamps.add(time);
+
+    if (parsed.isValid()) {
+      // Out-of-order candles
+      if (previousMoment && parsed.isBefore(previousMoment)) {
+        issues.push({ type: "outOfOrder", index, time, previousTime: previousMoment.format("DD/MM/YYYY hh:mm A") });
+      }
+
+      // Gaps between consecutive candles
+      if (previousMoment && parsed.isAfter(previousMoment)) {
+        const gapMinutes = parsed.diff(previousMoment, 'minutes') - 1;
+        if (gapMinutes > 0) {
+          issues.push({ type: "missingMinutes", index, time, missing: gapMinutes, after: previousMoment.format("DD/MM/YYYY hh:mm A") });
+        }
+      }
+
+      // Epoch must agree with the readable IST time (to the minute)
+      if (Math.abs(candle.timestamp_epoch - parsed.unix()) >= 60) {
+        issues.push({
+          type: "epochMismatch",
+          index,
+          time,
+          timestampEpoch: candle.timestamp_epoch,
+          expectedEpoch: parsed.unix(),
+          differenceSeconds: candle.timestamp_epoch - parsed.unix()
+        });
+      }
+
+      if (!previousMoment || parsed.isAfter(previousMoment)) {
+        previousMoment = parsed;
+      }
+    } else {
+      issues.push({ type: "epochMismatch", index, time, reason: "Unparseable timestamp_readable_IST" });
+    }
+
+    // OHLC consistency
+    if (candle.high < candle.low ||
+      candle.open > candle.high || candle.open < candle.low ||
+      candle.close > candle.high || candle.close < candle.low) {
+      issues.push({ type: "invalidPriceRange", index, time, open: candle.open, high: candle.high, low: candle.low, close: candle.close });
+    }
+
+    // Volume
+    if (!(candle.volume > 0)) {
+      issues.push({ type: "nonPositiveVolume", index, time, volume: candle.volume });
+    }
+
+    // Tick size
+    const offTickFields = ["open", "high", "low", "close"].filter(field => !isOnTick(candle[field], settings.tickSize));
+    if (offTickFields.length > 0) {
+      issues.push({ type: "offTickPrice", index, time, fields: offTickFields, tickSize: settings.tickSize });
+    }
+  });
+
+  // Missing minutes at the session edges
+  if (candles.length > 0) {
+    const first = parseReadableTimestamp(candles[0].timestamp_readable_IST);
+    const last = parseReadableTimestamp(candles[candles.length - 1].timestamp_readable_IST);
+    if (first.isValid() && first.hours() * 60 + first.minutes() > sessionStartMinute) {
+      issues.push({ type: "missingMinutes", index: 0, time: candles[0].timestamp_readable_IST, missing: first.hours() * 60 + first.minutes() - sessionStartMinute, after: "session start" });
+    }
+    if (last.isValid() && last.hours() * 60 + last.minutes() < sessionEndMinute) {
+      issues.push({ type: "missingMinutes", index: candles.length - 1, time: candles[candles.length - 1].timestamp_readable_IST, missing: sessionEndMinute - (last.hours() * 60 + last.minutes()), after: "last candle" });
+    }
+  }
+
+  // Abnormal candle count
+  const tolerance = (expectedCandles * settings.candleCountTolerancePercent) / 100;
+  if (Math.abs(candles.length - expectedCandles) > tolerance) {
+    issues.push({ type: "abnormalCandleCount", candleCount: candles.length, expectedCandles });
+  }
+
+  const issueCounts = {};
+  for (const type of ISSUE_TYPES) {
+    issueCounts[type] = issues.filter(issue => issue.type === type).length;
+  }
+
+  const flaggedBy = settings.flagOn.filter(type => issueCounts[type] > 0);
+
+  return {
+    date,
+    candleCount: candles.length,
+    expectedCandles,
+    flagged: flaggedBy.length > 0,
+    flaggedBy,
+    issueCounts,
+    issues
+  };
+}
+
+/**
+ * Validate all days of a stock data object
+ * @param {Object} stockData - Stock data in the day-keyed layout
+ * @param {Object} validation - Validation configuration (partial)
+ * @param {Array} dates - Dates to validate (defaults to every date in the data)
+ * @returns {Object} - Report with a summary and the days that have issues
+ */
+function validateStockData(stockData, validation = {}, dates = Object.keys(stockData.data)) {
+  const settings = { ...defaultDataValidationConfig, ...validation };
+  const dayReports = dates.map(date => validateDay(date, stockData.data[date], settings));
+
+  const issuesByType = {};
+  for (const type of ISSUE_TYPES) {
+    issuesByType[type] = dayReports.reduce((sum, day) => sum + day.issueCounts[type], 0);
+  }
+
+  const flaggedDays = dayReports.filter(day => day.flagged);
+
+  return {
+    stockName: stockData.stock_name || null,
+    settings: {
+      flagOn: settings.flagOn,
+      tickSize: settings.tickSize,
+      sessionStart: settings.sessionStart,
+      sessionEnd: settings.sessionEnd,
+      candleCountTolerancePercent: settings.candleCountTolerancePercent
+    },
+    summary: {
+      totalDays: dayReports.length,
+      totalCandles: dayReports.reduce((sum, day) => sum + day.candleCount, 0),
+      daysWithIssues: dayReports.filter(day => day.issues.length > 0).length,
+      flaggedDays: flaggedDays.length,
+      issuesByType
+    },
+    flaggedDates: flaggedDays.map(day => day.date),
+    days: dayReports.filter(day => day.issues.length > 0)
+  };
+}
+
+/**
+ * Validate data ahead of a backtest according to config.dataValidation
+ * @param {Object} stockData - Stock data in the day-keyed layout
+ * @param {Array} dates - Dates the backtest will run on
+ * @param {Object} config - Configuration object with optional dataValidation settings
+ * @returns {Object|null} - Validation report plus the dates to skip (mapped to the issue types that
+ *   flagged them), or null when validation is disabled
+ */
+function applyDataValidation(stockData, dates, config) {
+  if (!config.dataValidation?.enabled) {
+    return null;
+  }
+
+  const settings = { ...defaultDataValidationConfig, ...config.dataValidation };
+  const report = validateStockData(stockData, settings, dates);
+
+  if (settings.action === "refuse" && report.summary.flaggedDays > 0) {
+    throw new Error(`Data validation failed: ${report.summary.flaggedDays} flagged day(s) (${report.flaggedDates.slice(0, 5).join(', ')}${report.flaggedDates.length > 5 ? ', ...' : ''})`);
+  }
+
+  return {
+    action: settings.action,
+    report,
+    skippedDates: new Map(settings.action === "skip" ?
+      report.days.filter(day => day.flagged).map(day => [day.date, day.flaggedBy]) : [])
+  };
+}
+
+// Validate a data file from the command line: node data-validator.js <data file> [report.json]
+if (require.main === module) {
+  const [inputPath, reportPath] = process.argv.slice(2);
+
+  if (!inputPath) {
+    console.log('Usage: node data-validator.js <data file> [report.json]');
+    process.exit(1);
+  }
+
+  const report = validateStockData(loadStockData(inputPath));
+
+  console.log(`=================== Data Validation: ${report.stockName || inputPath} ===================`);
+  console.log(`Days: ${report.summary.totalDays}, Candles: ${report.summary.totalCandles}`);
+  console.log(`Days With Issues: ${report.summary.daysWithIssues}`);
+  console.log(`Flagged Days: ${report.summary.flaggedDays}`);
+  for (const type of ISSUE_TYPES) {
+    console.log(`  ${type}: ${report.summary.issuesByType[type]}`);
+  }
+
+  const outputPath = reportPath || 'data_validation_report.json';
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+  console.log(`Report saved to ${outputPath}`);
+
+  process.exit(report.summary.flaggedDays > 0 ? 2 : 0);
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  defaultDataValidationConfig,
+  validateDay,
+  validateStockData,
+  applyDataValidation
+};
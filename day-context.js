@@ -0,0 +1,165 @@
+/**
+ * Cross-day context for the day-keyed candle data.
+ *
+ * analyzeTradingDay only receives the current day's candles. The context built here gives it
+ * the levels of earlier sessions: the previous day's high, low and close, the opening gap
+ * versus the previous close, the high/low range of the last N trading days and the daily ATR.
+ * Levels use full candle ranges (wicks) and the back-adjusted prices of stockData.data.
+ */
+
+/**
+ * Default day context configuration
+ */
+const defaultDayContextConfig = {
+  rangeDays: 5, // Prior trading days in the multi-day high/low range
+  atrDays: 14 // Prior trading days in the daily ATR (average true range of whole sessions)
+};
+
+/**
+ * Default gap filter configuration (no filtering)
+ */
+const defaultGapFilterConfig = {
+  enabled: false, // Skip days whose opening gap versus the previous close is out of range
+  minGapPercent: 0, // Minimum absolute gap in % (e.g. 0.5 to trade only gap days)
+  maxGapPercent: null // Maximum absolute gap in % (null = no limit)
+};
+
+/**
+ * Calculate the high, low, open and close of a day
+ * @param {Array} dayData - Candle data for the day
+ * @returns {Object|null} - Day levels with the candles that set the high and low, or null for an empty day
+ */
+function calculateDayLevels(dayData) {
+  if (!dayData || dayData.length === 0) {
+    return null;
+  }
+
+  let highCandle = dayData[0];
+  let lowCandle = dayData[0];
+  for (const candle of dayData) {
+    if (candle.high > highCandle.high) {
+      highCandle = candle;
+    }
+    if (candle.low < lowCandle.low) {
+      lowCandle = candle;
+    }
+  }
+
+  return {
+    open: dayData[0].open,
+    high: highCandle.high,
+    highTime: highCandle.timestamp_readable_IST,
+    highEpoch: highCandle.timestamp_epoch,
+    low: lowCandle.low,
+    lowTime: lowCandle.timestamp_readable_IST,
+    lowEpoch: lowCandle.timestamp_epoch,
+    close: dayData[dayData.length - 1].close
+  };
+}
+
+/**
+ * Build the cross-day context of every day in the data
+ * @param {Object} stockData - Stock data with day-keyed candles
+ * @param {Object} config - Configuration object with optional dayContext settings
+ * @param {Set|Map|null} excludedDates - Dates whose candles must not be used as prior levels (e.g. flagged data)
+ * @returns {Map} - Day context by date
+ */
+function buildDayContexts(stockData, config, excludedDates = null) {
+  const settings = { ...defaultDayContextConfig, ...(config.dayContext || {}) };
+  const dates = Object.keys(stockData.data)
+    .filter(date => stockData.data[date] && stockData.data[date].length > 0)
+    .sort((a, b) => stockData.data[a][0].timestamp_epoch - stockData.data[b][0].timestamp_epoch);
+
+  const contexts = new Map();
+  const priorDays = []; // Levels of earlier usable days (with their true range), most recent last
+
+  for (const date of dates) {
+    const today = calculateDayLevels(stockData.data[date]);
+    const previousDay = priorDays.length > 0 ? priorDays[priorDays.length - 1] : null;
+    const rangeWindow = priorDays.slice(-settings.rangeDays);
+
+    const multiDayHigh = rangeWindow.reduce((best, day) => (!best || day.high > best.high ? day : best), null);
+    const multiDayLow = rangeWindow.reduce((best, day) => (!best || day.low < best.low ? day : best), null);
+    const atrWindow = priorDays.slice(-settings.atrDays);
+    const dailyAtr = atrWindow.length > 0 ?
+      atrWindow.reduce((sum, day) => sum + day.trueRange, 0) / atrWindow.length : null;
+
+    contexts.set(date, {
+      date,
+      open: today.open,
+      previousDate: previousDay ? previousDay.date : null,
+      previousDayHigh: previousDay ? previousDay.high : null,
+      previousDayHighTime: previousDay ? previousDay.highTime : null,
+      previousDayHighEpoch: previousDay ? previousDay.highEpoch : null,
+      previousDayLow: previousDay ? previousDay.low : null,
+      previousDayLowTime: previousDay ? previousDay.lowTime : null,
+      previousDayLowEpoch: previousDay ? previousDay.lowEpoch : null,
+      previousClose: previousDay ? previousDay.close : null,
+      gapPoints: previousDay ? today.open - previousDay.close : null,
+      gapPercent: previousDay ? ((today.open - previousDay.close) / previousDay.close) * 100 : null,
+      rangeDays: rangeWindow.length,
+      multiDayHigh: multiDayHigh ? multiDayHigh.high : null,
+      multiDayHighTime: multiDayHigh ? multiDayHigh.highTime : null,
+      multiDayHighEpoch: multiDayHigh ? multiDayHigh.highEpoch : null,
+      multiDayLow: multiDayLow ? multiDayLow.low : null,
+      multiDayLowTime: multiDayLow ? multiDayLow.lowTime : null,
+      multiDayLowEpoch: multiDayLow ? multiDayLow.lowEpoch : null,
+      atrDays: atrWindow.length,
+      dailyAtr: dailyAtr
+    });
+
+    if (!excludedDates || !excludedDates.has(date)) {
+      const trueRange = previousDay ?
+        Math.max(today.high, previousDay.close) - Math.min(today.low, previousDay.close) :
+        today.high - today.low;
+      priorDays.push({ date, ...today, trueRange });
+    }
+  }
+
+  return contexts;
+}
+
+/**
+ * Check a day's opening gap against the gap filter
+ * @param {Object|null} dayContext - Day context from buildDayContexts
+ * @param {Object} config - Configuration object with optional gapFilter settings
+ * @returns {Object} - { passed, gapPercent, reason }
+ */
+function checkGapFilter(dayContext, config) {
+  const settings = { ...defaultGapFilterConfig, ...(config.gapFilter || {}) };
+
+  if (!settings.enabled) {
+    return { passed: true, gapPercent: dayContext ? dayContext.gapPercent : null, reason: "Gap filter disabled" };
+  }
+
+  if (!dayContext || dayContext.gapPercent === null) {
+    return { passed: false, gapPercent: null, reason: "No previous close available" };
+  }
+
+  const absoluteGap = Math.abs(dayContext.gapPercent);
+  if (absoluteGap < settings.minGapPercent) {
+    return {
+      passed: false,
+      gapPercent: dayContext.gapPercent,
+      reason: `Gap ${dayContext.gapPercent.toFixed(2)}% smaller than ${settings.minGapPercent}%`
+    };
+  }
+
+  if (settings.maxGapPercent !== null && absoluteGap > settings.maxGapPercent) {
+    return {
+      passed: false,
+      gapPercent: dayContext.gapPercent,
+      reason: `Gap ${dayContext.gapPercent.toFixed(2)}% larger than ${settings.maxGapPercent}%`
+    };
+  }
+
+  return { passed: true, gapPercent: dayContext.gapPercent, reason: "Gap within range" };
+}
+
+module.exports = {
+  defaultDayContextConfig,
+  defaultGapFilterConfig,
+  calculateDayLevels,
+  buildDayContexts,
+  checkGapFilter
+};
@@ -0,0 +1,64 @@
+/**
+ * Day-by-day equity curve built from backtest trade results
+ */
+
+/**
+ * Check if a result object is an executed trade (has profit information)
+ * @param {Object} trade - Result object from the backtest
+ * @returns {boolean} - Whether the result is an actual trade
+ */
+function isActualTrade(trade) {
+  return trade.profit !== undefined || trade.netProfit !== undefined;
+}
+
+/**
+ * Build the day-by-day equity series from backtest results
+ * @param {Array} trades - All result objects from the backtest (trades and non-trade days), in date order
+ * @param {number} initialCapital - Starting equity
+ * @returns {Array} - Equity points with start/end equity, peak, drawdown and running return
+ */
+function buildEquityCurve(trades, initialCapital) {
+  // Group results by date, preserving the order dates first appear in
+  const days = new Map();
+  for (const trade of trades) {
+    if (!days.has(trade.date)) {
+      days.set(trade.date, []);
+    }
+    days.get(trade.date).push(trade);
+  }
+
+  const equityCurve = [];
+  let equity = initialCapital;
+  let peakEquity = initialCapital;
+
+  for (const [date, dayResults] of days) {
+    const dayTrades = dayResults.filter(isActualTrade);
+    const dayProfit = dayTrades.reduce((sum, trade) => sum + (trade.netProfit || trade.profit || 0), 0);
+    const startEquity = equity;
+
+    equity += dayProfit;
+    peakEquity = Math.max(peakEquity, equity);
+
+    const drawdown = peakEquity - equity;
+
+    equityCurve.push({
+      date,
+      startEquity: startEquity,
+      dayProfit: dayProfit,
+      dayReturnPercent: startEquity !== 0 ? (dayProfit / startEquity) * 100 : 0,
+      endEquity: equity,
+      trades: dayTrades.length,
+      peakEquity: peakEquity,
+      drawdown: drawdown,
+      drawdownPercent: peakEquity !== 0 ? (drawdown / peakEquity) * 100 : 0,
+      runningReturnPercent: ((equity - initialCapital) / initialCapital) * 100
+    });
+  }
+
+  return equityCurve;
+}
+
+module.exports = {
+  isActualTrade,
+  buildEquityCurve
+};
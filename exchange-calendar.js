@@ -0,0 +1,308 @@
+/**
+ * Exchange trading calendar and session times.
+ *
+ * Knows NSE holidays, special sessions such as Muhurat trading and half days, and resolves
+ * session-relative times like "open+60" or "close-21" to clock times for a given date.
+ * Holidays and special sessions are only known for the calendar's covered years; days in
+ * other years are flagged calendarNotCovered rather than assumed to be regular sessions.
+ */
+
+/**
+ * Built-in NSE equity segment calendar (dates in DD/MM/YYYY format)
+ */
+const NSE_CALENDAR = {
+  regularSession: { open: "09:15", close: "15:30" },
+  coveredYears: [2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024], // Years whose holidays and sessions are fully listed
+  holidays: [
+    // 2017
+    "26/01/2017", "24/02/2017", "13/03/2017", "04/04/2017", "14/04/2017", "01/05/2017",
+    "26/06/2017", "15/08/2017", "25/08/2017", "02/10/2017", "19/10/2017", "20/10/2017",
+    "25/12/2017",
+    // 2018
+    "26/01/2018", "13/02/2018", "02/03/2018", "29/03/2018", "30/03/2018", "01/05/2018",
+    "15/08/2018", "22/08/2018", "13/09/2018", "20/09/2018", "02/10/2018", "18/10/2018",
+    "07/11/2018", "08/11/2018", "23/11/2018", "25/12/2018",
+    // 2019
+    "04/03/2019", "21/03/2019", "17/04/2019", "19/04/2019", "29/04/2019", "01/05/2019",
+    "05/06/2019", "12/08/2019", "15/08/2019", "02/09/2019", "10/09/2019", "02/10/2019",
+    "08/10/2019", "21/10/2019", "28/10/2019", "12/11/2019", "25/12/2019",
+    // 2020
+    "21/02/2020", "10/03/2020", "02/04/2020", "06/04/2020", "10/04/2020", "14/04/2020",
+    "01/05/2020", "25/05/2020", "02/10/2020", "16/11/2020", "30/11/2020", "25/12/2020",
+    // 2021
+    "26/01/2021", "11/03/2021", "29/03/2021", "02/04/2021", "14/04/2021", "21/04/2021",
+    "13/05/2021", "21/07/2021", "19/08/2021", "10/09/2021", "15/10/2021", "04/11/2021",
+    "05/11/2021", "19/11/2021",
+    // 2022
+    "26/01/2022", "01/03/2022", "18/03/2022", "14/04/2022", "15/04/2022", "03/05/2022",
+    "09/08/2022", "15/08/2022", "31/08/2022", "05/10/2022", "24/10/2022", "26/10/2022",
+    "08/11/2022",
+    // 2023
+    "26/01/2023", "07/03/2023", "30/03/2023", "04/04/2023", "07/04/2023", "14/04/2023",
+    "01/05/2023", "29/06/2023", "15/08/2023", "19/09/2023", "02/10/2023", "24/10/2023",
+    "14/11/2023", "27/11/2023", "25/12/2023",
+    // 2024
+    "22/01/2024", "26/01/2024", "08/03/2024", "25/03/2024", "29/03/2024", "11/04/2024",
+    "17/04/2024", "01/05/2024", "20/05/2024", "17/06/2024", "17/07/2024", "15/08/2024",
+    "02/10/2024", "01/11/2024", "15/11/2024", "20/11/2024", "25/12/2024"
+  ],
+  sessions: {
+    "19/10/2017": { type: "muhurat", open: "18:30", close: "19:30", description: "Diwali Muhurat trading" },
+    "07/11/2018": { type: "muhurat", open: "17:30", close: "18:30", description: "Diwali Muhurat trading" },
+    "27/10/2019": { type: "muhurat", open: "18:15", close: "19:15", description: "Diwali Muhurat trading" },
+    "14/11/2020": { type: "muhurat", open: "18:15", close: "19:15", description: "Diwali Muhurat trading" },
+    "04/11/2021": { type: "muhurat", open: "18:15", close: "19:15", description: "Diwali Muhurat trading" },
+    "24/10/2022": { type: "muhurat", open: "18:15", close: "19:15", description: "Diwali Muhurat trading" },
+    "12/11/2023": { type: "muhurat", open: "18:15", close: "19:15", description: "Diwali Muhurat trading" },
+    "01/11/2024": { type: "muhurat", open: "18:00", close: "19:00", description: "Diwali Muhurat trading" }
+  }
+};
+
+/**
+ * Exchange calendars by name
+ */
+const exchangeCalendars = {
+  NSE: NSE_CALENDAR
+};
+
+/**
+ * Default exchange calendar configuration
+ */
+const defaultExchangeCalendarConfig = {
+  enabled: false, // Use the exchange calendar to resolve sessions and flag unexpected or truncated days
+  exchange: "NSE",
+  regularSession: null, // Override the exchange's regular session, e.g. { open: "09:15", close: "15:30" }
+  holidays: [], // Extra holiday dates (DD/MM/YYYY) on top of the built-in list
+  sessions: {}, // Per-date sessions: { "DD/MM/YYYY": { type: "halfDay", open: "09:15", close: "13:00" } }
+  coveredYears: [], // Extra years whose holidays and sessions are fully listed above (on top of the built-in years)
+  truncationToleranceMinutes: 5, // Minutes of missing data at either end of the session before a day is truncated
+  skipUnexpectedDays: false // Skip days that have data but are holidays or weekends in the calendar (never weekends of uncovered years)
+};
+
+/**
+ * Resolve exchange calendar settings from configuration
+ * @param {Object} config - Configuration object with optional exchangeCalendar settings
+ * @returns {Object} - Resolved settings with the exchange calendar merged in
+ */
+function getCalendarSettings(config) {
+  const settings = { ...defaultExchangeCalendarConfig, ...(config.exchangeCalendar || {}) };
+  const calendar = exchangeCalendars[settings.exchange];
+
+  if (!calendar) {
+    throw new Error(`Unknown exchange calendar: ${settings.exchange}`);
+  }
+
+  return {
+    ...settings,
+    regularSession: settings.regularSession || calendar.regularSession,
+    holidays: new Set([...calendar.holidays, ...settings.holidays]),
+    sessions: { ...calendar.sessions, ...settings.sessions },
+    coveredYears: new Set([...calendar.coveredYears, ...settings.coveredYears])
+  };
+}
+
+/**
+ * Get the trading session for a date
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Object} config - Configuration object with optional exchangeCalendar settings
+ * @returns {Object} - Session with type, open/close times (24-hour HH:MM), whether it is a trading day
+ *   and whether the calendar covers the date's year
+ */
+function getSession(date, config) {
+  const settings = getCalendarSettings(config);
+  const [day, month, year] = date.split('/').map(part => parseInt(part, 10));
+  const regular = {
+    date,
+    type: "regular",
+    ...settings.regularSession,
+    isTradingDay: true,
+    description: null,
+    calendarCovered: settings.coveredYears.has(year)
+  };
+
+  if (!config.exchangeCalendar?.enabled) {
+    return regular;
+  }
+
+  // Special sessions take precedence (e.g. Muhurat trading on a holiday or weekend)
+  const special = settings.sessions[date];
+  if (special) {
+    return {
+      date,
+      type: special.type || "special",
+      open: special.open || settings.regularSession.open,
+      close: special.close || settings.regularSession.close,
+      isTradingDay: special.type !== "holiday",
+      description: special.description || null,
+      calendarCovered: true
+    };
+  }
+
+  if (settings.holidays.has(date)) {
+    return { ...regular, type: "holiday", isTradingDay: false };
+  }
+
+  const weekday = new Date(year, month - 1, day).getDay();
+  if (weekday === 0 || weekday === 6) {
+    return { ...regular, type: "weekend", isTradingDay: false };
+  }
+
+  return regular;
+}
+
+/**
+ * Convert a 24-hour time string to minutes since midnight
+ * @param {string} timeStr - Time string in format "HH:MM"
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to a 24-hour time string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Time string in format "HH:MM"
+ */
+function fromMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve a session-relative time to a clock time
+ * @param {string} timeSpec - "HH:MM", "open", "close", "open+60" or "close-21" (offsets in minutes)
+ * @param {Object} session - Session from getSession
+ * @returns {string} - Time string in format "HH:MM"
+ */
+function resolveSessionTime(timeSpec, session) {
+  const match = /^(open|close)\s*(?:([+-])\s*(\d+))?$/i.exec(String(timeSpec).trim());
+  if (!match) {
+    return timeSpec;
+  }
+
+  const anchor = match[1].toLowerCase() === "open" ? session.open : session.close;
+  const offset = match[2] ? parseInt(match[3], 10) * (match[2] === '-' ? -1 : 1) : 0;
+  return fromMinutes(toMinutes(anchor) + offset);
+}
+
+/**
+ * Check whether a time setting is relative to the session
+ * @param {string} timeSpec - Time setting
+ * @returns {boolean} - Whether the setting refers to the session open or close
+ */
+function isSessionRelative(timeSpec) {
+  return typeof timeSpec === 'string' && /^(open|close)/i.test(timeSpec.trim());
+}
+
+/**
+ * Resolve entryTimeRange, marketExitTime and timeExits.tightenTarget settings against a session
+ * @param {Object} config - Configuration object
+ * @param {Object} session - Session from getSession
+ * @returns {Object} - Configuration with clock times (unchanged if nothing is session-relative)
+ */
+function resolveSessionTimes(config, session) {
+  const entryTimeRange = config.entryTimeRange || {};
+  const marketExitTime = config.marketExitTime || {};
+  const tightenTarget = config.timeExits?.tightenTarget;
+
+  if (!isSessionRelative(entryTimeRange.startTime) &&
+    !isSessionRelative(entryTimeRange.endTime) &&
+    !isSessionRelative(marketExitTime.exitTime) &&
+    !isSessionRelative(tightenTarget?.time)) {
+    return config;
+  }
+
+  return {
+    ...config,
+    ...(tightenTarget && {
+      timeExits: {
+        ...config.timeExits,
+        tightenTarget: { ...tightenTarget, time: resolveSessionTime(tightenTarget.time, session) }
+      }
+    }),
+    entryTimeRange: {
+      ...entryTimeRange,
+      startTime: resolveSessionTime(entryTimeRange.startTime, session),
+      endTime: resolveSessionTime(entryTimeRange.endTime, session)
+    },
+    marketExitTime: {
+      ...marketExitTime,
+      exitTime: resolveSessionTime(marketExitTime.exitTime, session)
+    }
+  };
+}
+
+/**
+ * Compare a day's candles with its session and flag unexpected or truncated data
+ * @param {Object} session - Session from getSession
+ * @param {Array} dayData - Candle data for the day
+ * @param {Object} config - Configuration object with optional exchangeCalendar settings
+ * @returns {Object} - Session check with first/last candle times and flags
+ */
+function checkSessionDay(session, dayData, config) {
+  const settings = getCalendarSettings(config);
+  const flags = [];
+  const candles = dayData || [];
+
+  const candleMinutes = candles.map(candle => {
+    const [, timePart, meridiem] = candle.timestamp_readable_IST.split(' ');
+    let [hours, minutes] = timePart.split(':').map(part => parseInt(part, 10));
+    if (meridiem === 'PM' && hours < 12) {
+      hours += 12;
+    } else if (meridiem === 'AM' && hours === 12) {
+      hours = 0;
+    }
+    return hours * 60 + minutes;
+  });
+
+  if (!session.calendarCovered) {
+    flags.push("calendarNotCovered");
+  }
+
+  if (!session.isTradingDay) {
+    // Without the year's calendar a weekend with data may be a special session (e.g. Muhurat trading)
+    if (session.calendarCovered || session.type === "holiday") {
+      flags.push("unexpected");
+    }
+  } else if (candles.length > 0) {
+    const firstCandleMinute = Math.min(...candleMinutes);
+    const lastCandleMinute = Math.max(...candleMinutes);
+
+    if (firstCandleMinute - toMinutes(session.open) > settings.truncationToleranceMinutes) {
+      flags.push("lateStart");
+    }
+    // The last 1-minute candle of a session starts one minute before the close
+    if (toMinutes(session.close) - 1 - lastCandleMinute > settings.truncationToleranceMinutes) {
+      flags.push("truncated");
+    }
+    if (lastCandleMinute >= toMinutes(session.close) || firstCandleMinute < toMinutes(session.open)) {
+      flags.push("outsideSession");
+    }
+  }
+
+  if (session.type !== "regular" && session.isTradingDay) {
+    flags.push("specialSession");
+  }
+
+  return {
+    date: session.date,
+    sessionType: session.type,
+    sessionOpen: session.open,
+    sessionClose: session.close,
+    description: session.description,
+    firstCandleTime: candles.length > 0 ? fromMinutes(Math.min(...candleMinutes)) : null,
+    lastCandleTime: candles.length > 0 ? fromMinutes(Math.max(...candleMinutes)) : null,
+    flags
+  };
+}
+
+module.exports = {
+  NSE_CALENDAR,
+  exchangeCalendars,
+  defaultExchangeCalendarConfig,
+  getSession,
+  resolveSessionTime,
+  resolveSessionTimes,
+  checkSessionDay
+};
@@ -0,0 +1,126 @@
+/**
+ * Fill model for simulated order execution.
+ *
+ * Decides whether a limit order fills on a candle and how much slippage a fill incurs.
+ * The same model is applied to entry, target, stop loss, pre-market and forced exits.
+ */
+
+/**
+ * Default fill model configuration (no slippage, limit orders fill on touch)
+ */
+const defaultFillModelConfig = {
+  model: "none", // "none", "fixedTicks", "percent" or "volumeParticipation"
+  slippageTicks: 1, // fixedTicks: ticks of slippage per fill
+  slippagePercent: 0.02, // percent: slippage as a percentage of the fill price
+  impactTicksPerParticipationPercent: 0.5, // volumeParticipation: ticks of slippage per 1% of candle volume traded
+  maxSlippageTicks: 10, // volumeParticipation: cap on slippage (also used when candle volume is zero)
+  limitOrderTradeThroughTicks: 0 // Limit orders fill only when price trades through the limit by this many ticks
+};
+
+/**
+ * Slippage models - each returns the adverse price movement (in price points) for one fill
+ */
+const slippageModels = {
+  none: () => 0,
+
+  fixedTicks: (price, candle, quantity, settings, tickSize) => {
+    return (settings.slippageTicks || 0) * tickSize;
+  },
+
+  percent: (price, candle, quantity, settings, tickSize) => {
+    const points = (price * (settings.slippagePercent || 0)) / 100;
+    // Slippage is always at least whole ticks once it is non-zero
+    return points > 0 ? Math.ceil(points / tickSize - 1e-9) * tickSize : 0;
+  },
+
+  volumeParticipation: (price, candle, quantity, settings, tickSize) => {
+    const maxSlippageTicks = settings.maxSlippageTicks ?? defaultFillModelConfig.maxSlippageTicks;
+    if (!candle || !candle.volume || candle.volume <= 0) {
+      return maxSlippageTicks * tickSize;
+    }
+
+    const participationPercent = (quantity / candle.volume) * 100;
+    const impactTicksPerPercent = settings.impactTicksPerParticipationPercent ??
+      defaultFillModelConfig.impactTicksPerParticipationPercent;
+    const slippageTicks = Math.min(Math.ceil(participationPercent * impactTicksPerPercent - 1e-9), maxSlippageTicks);
+
+    return Math.max(slippageTicks, 0) * tickSize;
+  }
+};
+
+/**
+ * Get fill model settings merged with defaults
+ * @param {Object} config - Configuration object with optional fillModel settings
+ * @returns {Object} - Fill model settings
+ */
+function getFillModelSettings(config) {
+  return { ...defaultFillModelConfig, ...(config.fillModel || {}) };
+}
+
+/**
+ * Get the tick size used for slippage and trade-through calculations
+ * @param {Object} config - Configuration object
+ * @returns {number} - Tick size
+ */
+function getTickSize(config) {
+  return config.priceRounding?.tickSize || 0.05;
+}
+
+/**
+ * Check if a limit order is filled by a candle, applying the trade-through rule
+ * @param {string} side - "buy" or "sell"
+ * @param {number} limitPrice - Limit order price
+ * @param {Object} candle - Candle object with high and low
+ * @param {Object} config - Configuration object
+ * @returns {boolean} - Whether the order is filled
+ */
+function isLimitOrderFilled(side, limitPrice, candle, config) {
+  const settings = getFillModelSettings(config);
+  const tradeThrough = (settings.limitOrderTradeThroughTicks || 0) * getTickSize(config);
+
+  if (side === "buy") {
+    return candle.low <= limitPrice - tradeThrough;
+  }
+  return candle.high >= limitPrice + tradeThrough;
+}
+
+/**
+ * Apply slippage to a fill price according to the selected model
+ * @param {number} price - Order price before slippage
+ * @param {string} side - "buy" or "sell"
+ * @param {Object} candle - The candle the fill occurred on
+ * @param {number} quantity - Number of shares filled
+ * @param {Object} config - Configuration object
+ * @returns {Object} - Fill result with price, orderPrice, slippage points and model name
+ */
+function applyFillSlippage(price, side, candle, quantity, config) {
+  const settings = getFillModelSettings(config);
+  const slippageModel = slippageModels[settings.model];
+
+  if (!slippageModel) {
+    throw new Error(`Unknown fill model: ${settings.model}`);
+  }
+
+  const tickSize = getTickSize(config);
+  const slippage = slippageModel(price, candle, quantity, settings, tickSize);
+  let fillPrice = side === "buy" ? price + slippage : price - slippage;
+
+  if (slippage > 0 && config.priceRounding?.enabled) {
+    fillPrice = Math.round(fillPrice / tickSize) * tickSize;
+  }
+
+  return {
+    price: fillPrice,
+    orderPrice: price,
+    slippage: slippage,
+    model: settings.model
+  };
+}
+
+module.exports = {
+  defaultFillModelConfig,
+  slippageModels,
+  getFillModelSettings,
+  isLimitOrderFilled,
+  applyFillSlippage
+};
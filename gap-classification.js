@@ -0,0 +1,143 @@
+/**
+ * Opening gap classification of trading days.
+ *
+ * Each day is classified by its open versus the previous close:
+ *   gapUp   - opened at least minGapSize above the previous close
+ *   gapDown - opened at least minGapSize below the previous close
+ *   inside  - opened within minGapSize of the previous close
+ *   unknown - no previous close (or no daily ATR when sizing in ATR)
+ * The gap size is measured in percent of the previous close or in multiples of the daily ATR.
+ * Each side can include or exclude classes, e.g. longs only on gap-up days.
+ */
+
+/**
+ * Gap classes in reporting order
+ */
+const GAP_CLASSES = ["gapUp", "gapDown", "inside", "unknown"];
+
+/**
+ * Default gap classification configuration (classes are reported, nothing is filtered)
+ */
+const defaultGapClassificationConfig = {
+  enabled: false, // Apply the per-side include/exclude lists (classes and stats are always reported)
+  sizeUnit: "percent", // "percent" of the previous close or "atr" (multiples of the daily ATR, see dayContext.atrDays)
+  minGapSize: 0.25, // Opens at least this far from the previous close (in sizeUnit) are gapUp/gapDown
+  long: {
+    include: [], // Classes longs may trade on (empty = all), e.g. ["gapUp", "inside"]
+    exclude: [] // Classes longs skip, e.g. ["gapDown"]
+  },
+  short: {
+    include: [],
+    exclude: []
+  }
+};
+
+/**
+ * Resolve gap classification settings from configuration
+ * @param {Object} config - Configuration object with optional gapClassification settings
+ * @returns {Object} - Gap classification settings
+ */
+function getGapClassificationSettings(config) {
+  const gapClassification = config.gapClassification || {};
+  const settings = {
+    ...defaultGapClassificationConfig,
+    ...gapClassification,
+    long: { ...defaultGapClassificationConfig.long, ...(gapClassification.long || {}) },
+    short: { ...defaultGapClassificationConfig.short, ...(gapClassification.short || {}) }
+  };
+
+  if (settings.sizeUnit !== "percent" && settings.sizeUnit !== "atr") {
+    throw new Error(`Unknown gap size unit: ${settings.sizeUnit}`);
+  }
+  for (const side of ["long", "short"]) {
+    const unknownClass = [...settings[side].include, ...settings[side].exclude].find(gapClass => !GAP_CLASSES.includes(gapClass));
+    if (unknownClass) {
+      throw new Error(`Unknown gap class for ${side}: ${unknownClass}`);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Classify a day by its opening gap
+ * @param {Object|null} dayContext - Day context from buildDayContexts
+ * @param {Object} config - Configuration object with optional gapClassification settings
+ * @returns {Object} - { gapClass, gapPoints, gapPercent, gapAtr, gapSize, sizeUnit }
+ */
+function classifyGap(dayContext, config) {
+  const settings = getGapClassificationSettings(config);
+  const gapPoints = dayContext ? dayContext.gapPoints : null;
+  const gapPercent = dayContext ? dayContext.gapPercent : null;
+  const gapAtr = gapPoints !== null && dayContext.dailyAtr ? gapPoints / dayContext.dailyAtr : null;
+  const gapSize = settings.sizeUnit === "atr" ? gapAtr : gapPercent;
+
+  let gapClass = "unknown";
+  if (gapSize !== null) {
+    if (gapSize >= settings.minGapSize) {
+      gapClass = "gapUp";
+    } else if (gapSize <= -settings.minGapSize) {
+      gapClass = "gapDown";
+    } else {
+      gapClass = "inside";
+    }
+  }
+
+  return { gapClass, gapPoints, gapPercent, gapAtr, gapSize, sizeUnit: settings.sizeUnit };
+}
+
+/**
+ * Check whether a side may trade on a day of the given gap class
+ * @param {string} side - "long" or "short"
+ * @param {string} gapClass - Gap class from classifyGap
+ * @param {Object} config - Configuration object with optional gapClassification settings
+ * @returns {Object} - { allowed, reason }
+ */
+function isGapClassAllowed(side, gapClass, config) {
+  if (!config.gapClassification?.enabled) {
+    return { allowed: true, reason: "Gap classification filter disabled" };
+  }
+
+  const { include, exclude } = getGapClassificationSettings(config)[side];
+  if (include.length > 0 && !include.includes(gapClass)) {
+    return { allowed: false, reason: `${side} not included on ${gapClass} days` };
+  }
+  if (exclude.includes(gapClass)) {
+    return { allowed: false, reason: `${side} excluded on ${gapClass} days` };
+  }
+  return { allowed: true, reason: `${side} allowed on ${gapClass} days` };
+}
+
+/**
+ * Break results down by gap class
+ * @param {Array} results - Trade and non-trade results annotated with gapClassification
+ * @returns {Object} - Days, trades, win rate and profit per gap class
+ */
+function summarizeByGapClass(results) {
+  const byClass = {};
+  for (const gapClass of GAP_CLASSES) {
+    const classResults = results.filter(result => result.gapClassification?.gapClass === gapClass);
+    const trades = classResults.filter(result => result.profit !== undefined || result.netProfit !== undefined);
+    const winningTrades = trades.filter(trade => (trade.netProfit || trade.profit || 0) > 0);
+    const netProfit = trades.reduce((sum, trade) => sum + (trade.netProfit || trade.profit || 0), 0);
+
+    byClass[gapClass] = {
+      days: new Set(classResults.map(result => result.date)).size,
+      trades: trades.length,
+      winningTrades: winningTrades.length,
+      losingTrades: trades.length - winningTrades.length,
+      winRate: trades.length > 0 ? (winningTrades.length / trades.length) * 100 : 0,
+      netProfit: netProfit,
+      averageNetProfit: trades.length > 0 ? netProfit / trades.length : 0
+    };
+  }
+  return byClass;
+}
+
+module.exports = {
+  GAP_CLASSES,
+  defaultGapClassificationConfig,
+  getGapClassificationSettings,
+  classifyGap,
+  isGapClassAllowed,
+  summarizeByGapClass
+};
@@ -69,9 +69,30 @@ console.log('=================== Backtest Results ===================');
 console.log(`Initial Capital: ₹${results.initialCapital.toFixed(2)}`);
 console.log(`Leverage: ${results.leverage}x`);
 console.log(`Brokerage Fee: ${results.brokerageFeePercent}%`);
+const detectorSettings = results.breakoutDetectorConfig;
+const detectorSuffix = {
+  openingRange: ` (first ${detectorSettings.openingRangeMinutes} minutes)`,
+  priorLevels: detectorSettings.priorLevel === "multiDay" ? ` (${results.configUsed.dayContext?.rangeDays}-day high/low)` : " (previous day high/low)"
+}[detectorSettings.type] || '';
+console.log(`Breakout Detector: ${detectorSettings.type}${detectorSuffix}`);
 console.log(`Time Threshold Range: ${config.minThreshold} - ${config.maxThreshold} minutes`);
 console.log(`Pullback Percentage: ${config.pullbackPercentage}%`);
 console.log(`Minimum Stop Loss %: ${config.minimumStopLossPercent}%`); // NEW
+console.log(`Max Trades Per Day: ${results.configUsed.maxTradesPerDay || 1}`);
+console.log(`Timeframe: ${results.timeframe.interval}${results.timeframe.fillsOnBaseCandles ? ' (fills simulated on 1-minute candles)' : ''}`);
+console.log(`Stop Loss Anchor: ${results.stopLossAnchorConfig.swingPrices} prices, buffer ${results.stopLossAnchorConfig.bufferType}`);
+if (results.sessionAnalysis) {
+  console.log(`Exchange Calendar (${results.sessionAnalysis.exchange}): ${results.sessionAnalysis.unexpectedDays} unexpected, ${results.sessionAnalysis.truncatedDays} truncated, ${results.sessionAnalysis.lateStartDays} late-start, ${results.sessionAnalysis.specialSessionDays} special-session days, ${results.sessionAnalysis.calendarNotCoveredDays} days outside the calendar's years`);
+  results.sessionAnalysis.flaggedDays.forEach(day => {
+    console.log(`  ${day.date}: ${day.sessionType} session ${day.sessionOpen}-${day.sessionClose}, data ${day.firstCandleTime || 'N/A'}-${day.lastCandleTime || 'N/A'} [${day.flags.join(', ')}]`);
+  });
+}
+if (results.corporateActions) {
+  console.log(`Corporate Actions: ${results.corporateActions.actions.length} applied, ${results.corporateActions.adjustedDays} days back-adjusted`);
+}
+if (results.dataValidation) {
+  console.log(`Data Validation: ${results.dataValidation.flaggedDays} flagged of ${results.dataValidation.totalDays} days (action: ${results.dataValidation.action}, skipped ${results.dataValidation.skippedDays})`);
+}
 console.log(`Entry Time Range: ${config.entryTimeRange.enabled ? `${config.entryTimeRange.startTime} to ${config.entryTimeRange.endTime}` : 'No restriction'}`);
 console.log(`Market Exit Time: ${config.marketExitTime.enabled ? config.marketExitTime.exitTime : 'No forced exit'}`);
 
@@ -96,6 +117,12 @@ console.log(`Final Balance: ₹${results.finalBalance.toFixed(2)}`);
 console.log(`Total Profit (Without Brokerage): ₹${(results.totalGrossProfit || 0).toFixed(2)}`);
 console.log(`Total Profit (With Brokerage): ₹${(results.totalNetProfit || results.totalProfit || 0).toFixed(2)}`);
 console.log(`Total Fees Paid: ₹${(results.totalFees || 0).toFixed(2)}`);
+if (results.chargesByType) {
+  console.log(`Cost Model: ${results.costModel}`);
+  Object.entries(results.chargesByType).forEach(([type, amount]) => {
+    console.log(`  ${type}: ₹${amount.toFixed(2)}`);
+  });
+}
 console.log(`Total Return % (Without Brokerage): ${(results.totalGrossReturnPercentage || 0).toFixed(2)}%`);
 console.log(`Total Return % (With Brokerage): ${(results.totalNetReturnPercentage || results.totalReturnPercentage || 0).toFixed(2)}%`);
 console.log(`Average Profit Per Trade (Without Brokerage): ₹${(results.averageGrossProfitPerTrade || 0).toFixed(2)}`);
@@ -108,9 +135,46 @@ console.log(`Winning Trades: ${results.totalWinningDays}`);
 console.log(`Losing Trades: ${results.totalLosingDays}`);
 console.log(`Breakouts Without Entry: ${results.breakoutsWithoutEntry || 0}`);
 console.log(`Breakouts Outside Time Range: ${results.breakoutsOutsideTimeRange || 0}`);
+if (config.breakoutFilters?.enabled) {
+  console.log(`Breakouts Rejected (Indicator Filters): ${results.indicatorFilterRejections || 0}`);
+}
+if (config.gapFilter?.enabled) {
+  console.log(`Days Skipped (Gap Filter): ${results.gapFilterSkips || 0}`);
+}
 console.log(`Breakouts Rejected (Stop Loss Too Tight): ${results.minimumStopLossRejections || 0}`); // NEW
+console.log(`Setups Skipped (Target Reached Before Pullback): ${results.targetReachedBeforePullbackSetups || 0}`);
 console.log('======================================================');
 
+// Equity curve summary
+if (results.equityCurve?.length > 0) {
+  const lastPoint = results.equityCurve[results.equityCurve.length - 1];
+  const worstPoint = results.equityCurve.reduce((worst, point) => point.drawdown > worst.drawdown ? point : worst);
+  console.log('\n================ Equity Curve Summary ================');
+  console.log(`Compounding: ${results.compounding ? 'ENABLED' : 'DISABLED'}`);
+  console.log(`Final Equity: ₹${lastPoint.endEquity.toFixed(2)} (${lastPoint.runningReturnPercent.toFixed(2)}%)`);
+  console.log(`Peak Equity: ₹${lastPoint.peakEquity.toFixed(2)}`);
+  console.log(`Deepest Drawdown: ₹${worstPoint.drawdown.toFixed(2)} (${worstPoint.drawdownPercent.toFixed(2)}%) on ${worstPoint.date}`);
+  console.log('======================================================');
+}
+
+// Risk-adjusted metrics
+if (results.riskMetrics) {
+  const metrics = results.riskMetrics;
+  console.log('\n================ Risk-Adjusted Metrics ===============');
+  console.log(`Max Drawdown: ₹${metrics.maxDrawdown.toFixed(2)} (${metrics.maxDrawdownPercent.toFixed(2)}%)`);
+  console.log(`Drawdown Period: ${metrics.maxDrawdownPeakDate || 'start'} → ${metrics.maxDrawdownTroughDate || 'N/A'} (${metrics.maxDrawdownDurationDays} trading days)`);
+  console.log(`Recovery Date: ${metrics.maxDrawdownRecovered ? (metrics.maxDrawdownRecoveryDate || 'N/A') : 'Not recovered'}`);
+  console.log(`Sharpe Ratio: ${metrics.sharpeRatio.toFixed(2)}`);
+  console.log(`Sortino Ratio: ${metrics.sortinoRatio.toFixed(2)}`);
+  console.log(`Calmar Ratio: ${metrics.calmarRatio.toFixed(2)} (annualized return ${metrics.annualizedReturnPercent.toFixed(2)}%)`);
+  console.log(`Profit Factor: ${metrics.profitFactor === null ? 'N/A (no losing trades)' : metrics.profitFactor.toFixed(2)}`);
+  console.log(`Expectancy: ₹${metrics.expectancy.toFixed(2)} per trade (${metrics.expectancyR.toFixed(2)}R)`);
+  console.log(`Longest Winning Streak: ${metrics.longestWinningStreak}`);
+  console.log(`Longest Losing Streak: ${metrics.longestLosingStreak}`);
+  console.log(`Ulcer Index: ${metrics.ulcerIndex.toFixed(2)}`);
+  console.log('======================================================');
+}
+
 // NEW: Minimum Stop Loss Analysis
 if (config.minimumStopLossPercent > 0) {
   console.log('\n=========== Minimum Stop Loss Analysis ===============');
@@ -150,6 +214,11 @@ if (results.stopLossExitAnalysis?.enabled) {
   if (results.stopLossExitAnalysis.dynamicStopLossAdjustment) {
     console.log(`Average SL Price Updates per Trade: ${results.stopLossExitAnalysis.averageStopLossPriceUpdates.toFixed(1)}`);
   }
+
+  const trailing = results.stopLossExitAnalysis.trailingStop;
+  if (trailing?.enabled) {
+    console.log(`Trailing Stop (${trailing.mode}): activated in ${trailing.totalTradesActivated} trades, ${trailing.totalTrailingStopExits} exits, avg ₹${trailing.averageProfitTrailingStopExits.toFixed(2)}`);
+  }
   
   const slImprovementAmount = results.stopLossExitAnalysis.averageProfitDynamicStopLossExits - results.stopLossExitAnalysis.averageProfitTraditionalExits;
   if (results.stopLossExitAnalysis.totalDynamicStopLossExits > 0 && results.stopLossExitAnalysis.totalTraditionalStopLossExits > 0) {
@@ -158,6 +227,82 @@ if (results.stopLossExitAnalysis?.enabled) {
   console.log('======================================================');
 }
 
+// Breakeven stop analysis
+if (results.breakevenStopAnalysis?.enabled) {
+  const breakeven = results.breakevenStopAnalysis;
+  console.log('\n============== Breakeven Stop Analysis ===============');
+  console.log(`Trigger: ${breakeven.config.triggerAmount !== null ? `₹${breakeven.config.triggerAmount} MFE` : `${breakeven.config.triggerRMultiple}R MFE`}, Buffer: ${breakeven.config.bufferPoints} pts${breakeven.config.coverFees ? ' + fees' : ''}`);
+  console.log(`Trades Moved to Breakeven: ${breakeven.totalTradesTriggered}`);
+  console.log(`Breakeven Stop Exits: ${breakeven.totalBreakevenExits}`);
+  console.log(`Trades Saved: ${breakeven.tradesSaved} (loss avoided ₹${breakeven.lossAvoided.toFixed(2)})`);
+  console.log(`Trades Cut Short: ${breakeven.tradesCutShort} (profit given up ₹${breakeven.profitGivenUp.toFixed(2)})`);
+  console.log(`Net Effect: ₹${breakeven.netEffect.toFixed(2)}`);
+  console.log('======================================================');
+}
+
+// Time-based exit analysis
+if (results.timeExitAnalysis?.enabled) {
+  console.log('\n=============== Time Exit Analysis ===================');
+  for (const [rule, stats] of Object.entries(results.timeExitAnalysis.rules)) {
+    if (stats.enabled) {
+      console.log(`${rule}: ${stats.totalExits} exits, avg ₹${stats.averageProfit.toFixed(2)}`);
+    }
+  }
+  console.log(`Trades with Tightened Target: ${results.timeExitAnalysis.totalTradesWithTightenedTarget}`);
+  console.log('======================================================');
+}
+
+// Scale-out analysis
+if (results.scaleOutAnalysis?.enabled) {
+  console.log('\n================ Scale-Out Analysis ==================');
+  console.log(`Scaled Trades: ${results.scaleOutAnalysis.totalScaledTrades}`);
+  results.scaleOutAnalysis.legs.forEach(leg => {
+    console.log(`Leg ${leg.leg} (${leg.percent}% @ ${leg.rMultiple === null ? 'runner' : `${leg.rMultiple}R`}): ${leg.targetExits}/${leg.count} targets (${leg.targetHitRate.toFixed(1)}%), avg ₹${leg.averageNetProfit.toFixed(2)}`);
+  });
+  console.log('======================================================');
+}
+
+// Gap class analysis
+if (results.gapClassAnalysis) {
+  const gapUnit = results.gapClassAnalysis.sizeUnit === "atr" ? ' ATR' : '%';
+  console.log('\n================ Gap Class Analysis ==================');
+  console.log(`Classes: gap of at least ${results.gapClassAnalysis.minGapSize}${gapUnit} versus previous close`);
+  Object.entries(results.gapClassAnalysis.byClass).forEach(([gapClass, stats]) => {
+    console.log(`${gapClass}: ${stats.days} days, ${stats.trades} trades, win rate ${stats.winRate.toFixed(1)}%, net ₹${stats.netProfit.toFixed(2)} (avg ₹${stats.averageNetProfit.toFixed(2)})`);
+  });
+  if (results.gapClassAnalysis.filterEnabled) {
+    console.log(`Breakouts Rejected (Gap Class Filter): ${results.gapClassAnalysis.totalRejections}`);
+  }
+  console.log('======================================================');
+}
+
+// Candlestick pattern analysis
+if (results.patternAnalysis?.enabled) {
+  console.log('\n============ Candlestick Pattern Analysis ============');
+  if (results.patternAnalysis.requireConfirmation) {
+    console.log(`Entries Confirmed by Pattern: ${results.patternAnalysis.totalConfirmedEntries}`);
+    console.log(`Breakouts Without Confirming Pattern: ${results.patternAnalysis.totalUnconfirmedBreakouts}`);
+  }
+  Object.entries(results.patternAnalysis.byPattern).forEach(([pattern, stats]) => {
+    console.log(`${pattern}: ${stats.trades} trades, win rate ${stats.winRate.toFixed(1)}%, net ₹${stats.netProfit.toFixed(2)} (avg ₹${stats.averageNetProfit.toFixed(2)})`);
+  });
+  console.log('======================================================');
+}
+
+// Account risk analysis
+if (results.accountRiskAnalysis) {
+  console.log('\n=============== Account Risk Analysis ================');
+  console.log(`Trades Skipped (Account Risk): ${results.accountRiskAnalysis.totalSkippedTrades}`);
+  console.log(`Net Profit of Skipped Trades: ₹${results.accountRiskAnalysis.skippedNetProfit.toFixed(2)}`);
+  Object.entries(results.accountRiskAnalysis.byRule).forEach(([rule, stats]) => {
+    console.log(`${rule}: ${stats.skippedTrades} skipped, would have made ₹${stats.skippedNetProfit.toFixed(2)}`);
+  });
+  results.accountRiskAnalysis.events.forEach(event => {
+    console.log(`${event.date} ${event.event.toUpperCase()} (${event.rule}): ${event.reason}`);
+  });
+  console.log('======================================================');
+}
+
 // NEW: Target exit analysis
 if (results.targetExitAnalysis?.enabled) {
   console.log('\n============== Target Exit Analysis ==================');
@@ -219,6 +364,47 @@ if (results.entryOrderAnalysis?.enabled) {
   console.log('======================================================');
 }
 
+// Position sizing analysis
+if (results.positionSizingAnalysis?.enabled) {
+  console.log('\n============ Position Sizing Analysis ================');
+  console.log(`Sizing Mode: ${results.positionSizingAnalysis.mode}`);
+  console.log(`Trades Capped by Leverage: ${results.positionSizingAnalysis.totalTradesCappedByLeverage}`);
+  console.log(`Trades Capped by Margin: ${results.positionSizingAnalysis.totalTradesCappedByMargin}`);
+  console.log(`Trades Not Capped: ${results.positionSizingAnalysis.totalTradesUncapped}`);
+  console.log(`Trades Skipped (Zero Size): ${results.positionSizingAnalysis.totalZeroSizeRejections}`);
+  console.log(`Average Shares per Trade: ${results.positionSizingAnalysis.averageShares.toFixed(0)}`);
+  console.log(`Average Position Value: ₹${results.positionSizingAnalysis.averagePositionValue.toFixed(2)}`);
+  console.log(`Average Amount at Risk: ₹${results.positionSizingAnalysis.averageRiskAmount.toFixed(2)}`);
+  console.log('======================================================');
+}
+
+// Fill model slippage analysis
+if (results.slippageAnalysis?.enabled) {
+  console.log('\n=============== Slippage Analysis ====================');
+  console.log(`Fill Model: ${results.slippageAnalysis.model}`);
+  console.log(`Limit Order Trade-Through: ${results.slippageAnalysis.limitOrderTradeThroughTicks} ticks`);
+  console.log(`Trades with Slippage: ${results.slippageAnalysis.totalTradesWithSlippage}`);
+  console.log(`Total Slippage Cost: ₹${results.slippageAnalysis.totalSlippageAmount.toFixed(2)}`);
+  console.log(`Average Slippage Cost per Trade: ₹${results.slippageAnalysis.averageSlippageAmountPerTrade.toFixed(2)}`);
+  console.log(`Average Entry Slippage: ₹${results.slippageAnalysis.averageEntrySlippagePoints.toFixed(2)} per share`);
+  console.log(`Average Exit Slippage: ₹${results.slippageAnalysis.averageExitSlippagePoints.toFixed(2)} per share`);
+  console.log('======================================================');
+}
+
+// Simultaneous long/short position analysis
+if (results.simultaneousPositionAnalysis?.enabled) {
+  console.log('\n========== Simultaneous Position Analysis ============');
+  console.log(`Capital Split Per Side: ${results.simultaneousPositionAnalysis.capitalSplitPercent}%`);
+  console.log(`Days with Both Sides Filled: ${results.simultaneousPositionAnalysis.totalDaysWithBothSides}`);
+  console.log(`Days with Overlapping Positions: ${results.simultaneousPositionAnalysis.totalOverlappingDays}`);
+  console.log(`Long Filled First: ${results.simultaneousPositionAnalysis.longFilledFirst}`);
+  console.log(`Short Filled First: ${results.simultaneousPositionAnalysis.shortFilledFirst}`);
+  console.log(`Filled on Same Candle: ${results.simultaneousPositionAnalysis.filledTogether}`);
+  console.log(`Average Overlap: ${results.simultaneousPositionAnalysis.averageOverlapMinutes.toFixed(1)} mins`);
+  console.log(`Total Profit (Paired Positions): ₹${results.simultaneousPositionAnalysis.totalProfitPairedPositions.toFixed(2)}`);
+  console.log('======================================================');
+}
+
 // Print detailed breakdown of trades with enhanced exit details
 console.log('\n=============== Trade Details Summary ===============');
 const actualTrades = results.allTrades.filter(trade => trade.profit !== undefined || trade.netProfit !== undefined);
@@ -237,6 +423,12 @@ if (actualTrades.length > 0) {
       console.log(`  Target: ₹${trade.target.toFixed(2)}`);
       console.log(`  Stop Loss: ₹${trade.stopLoss.toFixed(2)}`);
       console.log(`  Risk Points: ₹${trade.riskPoints.toFixed(2)}`);
+      if (trade.patterns?.length > 0) {
+        console.log(`  Candlestick Patterns: ${trade.patterns.join(', ')}${trade.patternDetails?.confirmingPattern ? ` (confirmed by ${trade.patternDetails.confirmingPattern})` : ''}`);
+      }
+      if (trade.gapClassification) {
+        console.log(`  Opening Gap: ${trade.gapClassification.gapClass}${trade.gapClassification.gapPercent !== null ? ` (${trade.gapClassification.gapPercent.toFixed(2)}%)` : ''}`);
+      }
       
       // NEW: Show minimum stop loss validation details
       if (trade.breakout.minimumStopLossValidation) {
@@ -252,6 +444,19 @@ if (actualTrades.length > 0) {
       
       // Enhanced dynamic stop loss exit details
       if (trade.stopLossExitDetails?.enabled) {
+        const trailingStop = trade.stopLossExitDetails.trailingStop;
+        if (trailingStop?.enabled) {
+          console.log(`  Trailing Stop (${trailingStop.mode}): ${trailingStop.activated ? `activated at ${trailingStop.activationTime}` : 'not activated'}, ₹${trailingStop.initialStopLoss.toFixed(2)} → ₹${trailingStop.finalStopLoss.toFixed(2)} (${trailingStop.totalStopMoves} moves)`);
+        }
+
+        const breakevenStop = trade.breakevenStopDetails;
+        if (breakevenStop?.triggered) {
+          console.log(`  Breakeven Stop: ₹${breakevenStop.stopLevel.toFixed(2)} from ${breakevenStop.triggerTime}`);
+          if (breakevenStop.counterfactual) {
+            console.log(`    Without Rule: ${breakevenStop.counterfactual.exitReason} @ ₹${breakevenStop.counterfactual.exitPrice.toFixed(2)}, net ₹${breakevenStop.counterfactual.netProfit.toFixed(2)} (${breakevenStop.outcome})`);
+          }
+        }
+
         if (trade.stopLossExitDetails.stopLossBreached) {
           console.log(`  Stop Loss Method: Dynamic Limit Orders`);
           console.log(`  SL Breach: ${trade.stopLossExitDetails.breachCandleTime} @ ₹${trade.stopLossExitDetails.breachCandleClose.toFixed(2)}`);
@@ -334,6 +539,18 @@ if (actualTrades.length > 0) {
       }
       
       console.log(`  Exit: ${trade.exit.reason} at ₹${trade.exit.price.toFixed(2)} (${trade.exit.time})`);
+      if (trade.timeExitDetails?.targetTightened) {
+        console.log(`  Target Tightened: ₹${trade.timeExitDetails.originalTarget.toFixed(2)} → ₹${trade.timeExitDetails.tightenedTarget.toFixed(2)} at ${trade.timeExitDetails.targetTightenedTime}`);
+      }
+      if (trade.timeExitDetails?.orderPlaced) {
+        console.log(`  Time Exit (${trade.timeExitDetails.rule}): order placed at ${trade.timeExitDetails.triggerTime} after ${trade.timeExitDetails.minutesInTrade} mins${trade.timeExitDetails.orderFilled ? `, filled at ${trade.timeExitDetails.orderFillTime}` : ''}`);
+      }
+      if (trade.scaleOut) {
+        console.log(`  Scale-Out Legs (blended exit ₹${trade.scaleOut.blendedExitPrice.toFixed(2)}):`);
+        trade.scaleOut.legs.forEach(leg => {
+          console.log(`    ${leg.leg}. ${leg.shares} shares ${leg.target !== null ? `target ₹${leg.target.toFixed(2)}` : 'runner'}: ${leg.exitReason} at ₹${leg.exitPrice.toFixed(2)} (${leg.exitTime}), net ₹${leg.netProfit.toFixed(2)}`);
+        });
+      }
       console.log(`  Gross Profit: ₹${(trade.grossProfit || 0).toFixed(2)}`);
       console.log(`  Net Profit: ₹${(trade.netProfit || trade.profit || 0).toFixed(2)}`);
       console.log(`  Max Favorable Excursion: ₹${(trade.maxFavorableExcursion || 0).toFixed(2)}`);
@@ -373,6 +590,15 @@ if (minimumStopLossRejections.length > 0) {
   });
 }
 
+// Print breakdown of setups skipped because target was reached before the pullback entry
+const targetBeforePullbackDays = results.allTrades.filter(trade => trade.targetReachedBeforePullback);
+if (targetBeforePullbackDays.length > 0) {
+  console.log(`\n${targetBeforePullbackDays.length} days where target was reached before pullback entry:`);
+  targetBeforePullbackDays.slice(0, 3).forEach((trade, index) => {
+    console.log(`  ${index + 1}. ${trade.date} - ${trade.breakoutType.toUpperCase()} breakout at ${trade.breakoutTime}, target ₹${trade.target.toFixed(2)} reached at ${trade.targetReachedTime} before pullback to ₹${trade.requiredPullbackPrice.toFixed(2)}`);
+  });
+}
+
 // Print exit reason breakdown
 console.log('\n=============== Exit Reason Analysis ===============');
 if (results.statisticsByExitReason && Object.keys(results.statisticsByExitReason).length > 0) {
@@ -499,6 +725,10 @@ console.log('Detailed results written to backtest_results.json');
 fs.writeFileSync('config_used.json', JSON.stringify(config, null, 2));
 console.log('Configuration used written to config_used.json');
 
+// Write the day-by-day equity curve
+fs.writeFileSync('equity_curve.json', JSON.stringify(results.equityCurve, null, 2));
+console.log('Equity curve written to equity_curve.json');
+
 // Enhanced stop loss analysis with dynamic pricing details
 if (results.stopLossExitAnalysis || config.stopLossExitConfig?.enabled) {
   const stopLossData = {
@@ -589,4 +819,30 @@ if (config.minimumStopLossPercent > 0) {
   
   fs.writeFileSync('minimum_stop_loss_rejections.json', JSON.stringify(minimumStopLossData, null, 2));
   console.log('Minimum stop loss rejection analysis written to minimum_stop_loss_rejections.json');
-}
\ No newline at end of file
+}
+
+// Setups skipped because target was reached before the pullback entry filled
+if (results.configUsed.targetBeforePullback?.enabled) {
+  const targetBeforePullbackData = {
+    configuration: results.configUsed.targetBeforePullback,
+    analysis: results.targetBeforePullbackConfig,
+    skippedSetups: results.allTrades
+      .flatMap(trade => trade.targetReachedBeforePullbackData || trade.targetReachedBeforePullbackSetups || [])
+      .map(setup => ({
+        date: setup.date,
+        breakoutType: setup.breakoutType,
+        breakoutTime: setup.breakoutTime,
+        breakoutPrice: setup.breakoutPrice,
+        requiredPullbackPrice: setup.requiredPullbackPrice,
+        target: setup.target,
+        stopLoss: setup.stopLoss,
+        targetReachedTime: setup.targetReachedTime,
+        targetReachedPrice: setup.targetReachedPrice,
+        entryOrderPlaced: setup.entryOrderPlaced,
+        entryOrderPrice: setup.entryOrderPrice
+      }))
+  };
+
+  fs.writeFileSync('target_before_pullback_setups.json', JSON.stringify(targetBeforePullbackData, null, 2));
+  console.log('Target reached before pullback setups written to target_before_pullback_setups.json');
+}
@@ -0,0 +1,256 @@
+/**
+ * Technical indicators computed from candle data
+ */
+const { getMinuteOfDay, getCandleStartTimestamp } = require('./candle-resampler');
+
+/**
+ * Calculate the true range of a candle
+ * @param {Object} candle - Candle object with high, low, close
+ * @param {Object|null} prevCandle - Previous candle (null for the first candle)
+ * @returns {number} - True range
+ */
+function calculateTrueRange(candle, prevCandle) {
+  if (!prevCandle) {
+    return candle.high - candle.low;
+  }
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - prevCandle.close),
+    Math.abs(candle.low - prevCandle.close)
+  );
+}
+
+/**
+ * Calculate the average true range over the candles ending at endIndex (inclusive)
+ * @param {Array} candles - Candle data array
+ * @param {number} endIndex - Index of the last candle to include
+ * @param {number} period - Number of candles to average (default 14)
+ * @returns {number|null} - Average true range, or null if no candles are available
+ */
+function calculateATR(candles, endIndex, period = 14) {
+  if (!candles || endIndex < 0 || endIndex >= candles.length) {
+    return null;
+  }
+
+  const startIndex = Math.max(0, endIndex - period + 1);
+  let totalRange = 0;
+  let count = 0;
+
+  for (let i = startIndex; i <= endIndex; i++) {
+    totalRange += calculateTrueRange(candles[i], i > 0 ? candles[i - 1] : null);
+    count++;
+  }
+
+  return count > 0 ? totalRange / count : null;
+}
+
+/**
+ * Default settings for the per-day incremental indicators
+ */
+const defaultIndicatorSettings = {
+  emaPeriod: 20,
+  smaPeriod: 20,
+  atrPeriod: 14,
+  rsiPeriod: 14,
+  adxPeriod: 14,
+  bollingerPeriod: 20,
+  bollingerStdDev: 2,
+  openingRangeMinutes: 15 // Opening range = first N minutes from the day's first candle
+};
+
+/**
+ * Create the state for incremental indicator calculation over one day
+ * @param {Object} settings - Indicator settings (partial, merged over the defaults)
+ * @returns {Object} - Indicator state for updateIndicators
+ */
+function createIndicatorState(settings = {}) {
+  return {
+    settings: { ...defaultIndicatorSettings, ...settings },
+    count: 0,
+    prevCandle: null,
+    // VWAP
+    cumulativePriceVolume: 0,
+    cumulativeVolume: 0,
+    // EMA / SMA / Bollinger
+    ema: null,
+    closes: [],
+    // ATR (simple average of true ranges, as calculateATR)
+    trueRanges: [],
+    // RSI (Wilder smoothing)
+    gains: 0,
+    losses: 0,
+    averageGain: null,
+    averageLoss: null,
+    // ADX (Wilder smoothing)
+    smoothedTrueRange: 0,
+    smoothedPlusDM: 0,
+    smoothedMinusDM: 0,
+    directionalCount: 0,
+    dxValues: [],
+    adx: null,
+    // Opening range
+    firstMinute: null,
+    openingRangeHigh: null,
+    openingRangeLow: null,
+    openingRangeComplete: false
+  };
+}
+
+/**
+ * Update the indicators with the next candle of the day
+ * @param {Object} state - State from createIndicatorState (updated in place)
+ * @param {Object} candle - Next candle (in time order)
+ * @returns {Object} - Indicator values at the close of this candle (null where not yet available)
+ */
+function updateIndicators(state, candle) {
+  const settings = state.settings;
+  const prevCandle = state.prevCandle;
+  state.count++;
+
+  // VWAP from the day's first candle
+  const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+  state.cumulativePriceVolume += typicalPrice * (candle.volume || 0);
+  state.cumulativeVolume += candle.volume || 0;
+  const vwap = state.cumulativeVolume > 0 ? state.cumulativePriceVolume / state.cumulativeVolume : null;
+
+  // EMA seeded with the first close
+  const emaMultiplier = 2 / (settings.emaPeriod + 1);
+  state.ema = state.ema === null ? candle.close : (candle.close - state.ema) * emaMultiplier + state.ema;
+
+  // SMA and Bollinger band width over a rolling window of closes
+  state.closes.push(candle.close);
+  if (state.closes.length > Math.max(settings.smaPeriod, settings.bollingerPeriod)) {
+    state.closes.shift();
+  }
+  const smaWindow = state.closes.slice(-settings.smaPeriod);
+  const sma = smaWindow.length === settings.smaPeriod ?
+    smaWindow.reduce((sum, close) => sum + close, 0) / smaWindow.length : null;
+
+  let bollingerWidth = null;
+  const bollingerWindow = state.closes.slice(-settings.bollingerPeriod);
+  if (bollingerWindow.length === settings.bollingerPeriod) {
+    const mean = bollingerWindow.reduce((sum, close) => sum + close, 0) / bollingerWindow.length;
+    const variance = bollingerWindow.reduce((sum, close) => sum + (close - mean) ** 2, 0) / bollingerWindow.length;
+    bollingerWidth = mean > 0 ? ((2 * settings.bollingerStdDev * Math.sqrt(variance)) / mean) * 100 : null;
+  }
+
+  // ATR
+  const trueRange = calculateTrueRange(candle, prevCandle);
+  state.trueRanges.push(trueRange);
+  if (state.trueRanges.length > settings.atrPeriod) {
+    state.trueRanges.shift();
+  }
+  const atr = state.trueRanges.reduce((sum, range) => sum + range, 0) / state.trueRanges.length;
+
+  // RSI
+  let rsi = null;
+  if (prevCandle) {
+    const change = candle.close - prevCandle.close;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    const changes = state.count - 1;
+
+    if (changes < settings.rsiPeriod) {
+      state.gains += gain;
+      state.losses += loss;
+    } else if (changes === settings.rsiPeriod) {
+      state.averageGain = (state.gains + gain) / settings.rsiPeriod;
+      state.averageLoss = (state.losses + loss) / settings.rsiPeriod;
+    } else {
+      state.averageGain = (state.averageGain * (settings.rsiPeriod - 1) + gain) / settings.rsiPeriod;
+      state.averageLoss = (state.averageLoss * (settings.rsiPeriod - 1) + loss) / settings.rsiPeriod;
+    }
+
+    if (state.averageGain !== null) {
+      rsi = state.averageLoss === 0 ? 100 : 100 - 100 / (1 + state.averageGain / state.averageLoss);
+    }
+  }
+
+  // ADX with +DI / -DI
+  let plusDI = null;
+  let minusDI = null;
+  if (prevCandle) {
+    const upMove = candle.high - prevCandle.high;
+    const downMove = prevCandle.low - candle.low;
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+    const period = settings.adxPeriod;
+
+    state.directionalCount++;
+    if (state.directionalCount <= period) {
+      state.smoothedTrueRange += trueRange;
+      state.smoothedPlusDM += plusDM;
+      state.smoothedMinusDM += minusDM;
+    } else {
+      state.smoothedTrueRange = state.smoothedTrueRange - state.smoothedTrueRange / period + trueRange;
+      state.smoothedPlusDM = state.smoothedPlusDM - state.smoothedPlusDM / period + plusDM;
+      state.smoothedMinusDM = state.smoothedMinusDM - state.smoothedMinusDM / period + minusDM;
+    }
+
+    if (state.directionalCount >= period && state.smoothedTrueRange > 0) {
+      plusDI = (state.smoothedPlusDM / state.smoothedTrueRange) * 100;
+      minusDI = (state.smoothedMinusDM / state.smoothedTrueRange) * 100;
+      const dx = plusDI + minusDI > 0 ? (Math.abs(plusDI - minusDI) / (plusDI + minusDI)) * 100 : 0;
+
+      if (state.adx === null) {
+        state.dxValues.push(dx);
+        if (state.dxValues.length === period) {
+          state.adx = state.dxValues.reduce((sum, value) => sum + value, 0) / period;
+        }
+      } else {
+        state.adx = (state.adx * (period - 1) + dx) / period;
+      }
+    }
+  }
+
+  // Opening range - available once the first N minutes have completed
+  const minuteOfDay = getMinuteOfDay(candle.timestamp_readable_IST);
+  if (state.firstMinute === null) {
+    state.firstMinute = getMinuteOfDay(getCandleStartTimestamp(candle));
+  }
+  if (!state.openingRangeComplete) {
+    if (minuteOfDay < state.firstMinute + settings.openingRangeMinutes) {
+      state.openingRangeHigh = state.openingRangeHigh === null ? candle.high : Math.max(state.openingRangeHigh, candle.high);
+      state.openingRangeLow = state.openingRangeLow === null ? candle.low : Math.min(state.openingRangeLow, candle.low);
+    }
+    // Candles and bars are stamped with their last minute, so the range completes at the close of the last one inside it
+    state.openingRangeComplete = minuteOfDay + 1 >= state.firstMinute + settings.openingRangeMinutes;
+  }
+
+  state.prevCandle = candle;
+
+  return {
+    close: candle.close,
+    vwap,
+    ema: state.ema,
+    sma,
+    atr,
+    rsi,
+    adx: state.adx,
+    plusDI,
+    minusDI,
+    bollingerWidth,
+    openingRangeHigh: state.openingRangeComplete ? state.openingRangeHigh : null,
+    openingRangeLow: state.openingRangeComplete ? state.openingRangeLow : null
+  };
+}
+
+/**
+ * Calculate the indicators for every candle of a day
+ * @param {Array} dayData - Candle data for the day (in time order)
+ * @param {Object} settings - Indicator settings (partial)
+ * @returns {Array} - Indicator values at the close of each candle
+ */
+function calculateDayIndicators(dayData, settings = {}) {
+  const state = createIndicatorState(settings);
+  return (dayData || []).map(candle => updateIndicators(state, candle));
+}
+
+module.exports = {
+  calculateTrueRange,
+  calculateATR,
+  defaultIndicatorSettings,
+  createIndicatorState,
+  updateIndicators,
+  calculateDayIndicators
+};
@@ -0,0 +1,441 @@
+/**
+ * Multi-symbol portfolio backtest with a shared capital pool.
+ *
+ * Every symbol runs the breakout strategy over one shared calendar. Candidate trades
+ * for a day are accepted in entry-time order, subject to a cap on concurrent positions
+ * and the capital still free in the pool. Each symbol is sized from its allocation of
+ * current portfolio equity. Account risk controls (see account-risk.js) apply to the shared
+ * account: the daily loss limit to the combined realised P&L of the day and the losing-day
+ * pause and weekly drawdown stop to the portfolio's daily result.
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+  defaultConfig,
+  analyzeTradingDayTrades,
+  calculateStats,
+  shouldIncludeDate,
+  createDataValidationSkipRecord,
+  createAccountRiskSkipRecord,
+  createSessionSkipRecord,
+  summarizeDataValidation,
+  summarizeSessionChecks
+} = require('./trading-strategy');
+const { isActualTrade, buildEquityCurve } = require('./equity-curve');
+const { loadStockData } = require('./data-loader');
+const { applyDataValidation } = require('./data-validator');
+const { buildDayContexts } = require('./day-context');
+const { getSession, checkSessionDay } = require('./exchange-calendar');
+const { applyCorporateActions, annotateRawPrices, summarizeCorporateActions } = require('./corporate-actions');
+const {
+  createAccountRiskState,
+  checkAccountRiskDay,
+  recordAccountRiskDay,
+  checkDailyLoss,
+  summarizeAccountRisk
+} = require('./account-risk');
+
+/**
+ * Default portfolio configuration
+ */
+const defaultPortfolioConfig = {
+  dataDirectory: ".", // Directory containing <SYMBOL>-EQ.json files
+  fileSuffix: "-EQ.json", // e.g. "-EQ.csv" together with a dataSource configuration
+  maxConcurrentPositions: 3, // Open positions allowed at the same time across all symbols
+  maxAllocationPercentPerSymbol: 33.33, // Default % of portfolio equity allocated to each symbol
+  symbolAllocations: {} // Per-symbol overrides, e.g. { "SBIN": 50 }
+};
+
+/**
+ * Load the day-keyed candle data for a symbol
+ * @param {string} symbol - Stock symbol, e.g. "SBIN"
+ * @param {Object} portfolio - Portfolio settings with dataDirectory and fileSuffix
+ * @param {Object} dataSource - Data source configuration (format, columns, date format)
+ * @returns {Object|null} - Stock data object, or null if the file does not exist
+ */
+function loadSymbolData(symbol, portfolio, dataSource = {}) {
+  const filePath = path.resolve(portfolio.dataDirectory, `${symbol}${portfolio.fileSuffix}`);
+  if (!fs.existsSync(filePath)) {
+    console.warn(`${symbol}: File ${path.basename(filePath)} not found. Skipping.`);
+    return null;
+  }
+
+  const stockData = loadStockData(filePath, { ...dataSource, stockName: dataSource.stockName || symbol });
+  if (!stockData || !stockData.data) {
+    throw new Error(`Invalid stock data structure for ${symbol}`);
+  }
+  return stockData;
+}
+
+/**
+ * Convert a DD/MM/YYYY date to a sortable YYYYMMDD string
+ * @param {string} dateStr - Date string in DD/MM/YYYY format
+ * @returns {string} - Date string in YYYYMMDD format
+ */
+function toSortableDate(dateStr) {
+  const [day, month, year] = dateStr.split('/');
+  return `${year}${month.padStart(2, '0')}${day.padStart(2, '0')}`;
+}
+
+/**
+ * Build the shared trading calendar from all symbols
+ * @param {Object} stockDataBySymbol - Stock data keyed by symbol
+ * @param {Object} config - Configuration object with dateFilter
+ * @returns {Array} - Dates (DD/MM/YYYY) traded by at least one symbol, in chronological order
+ */
+function buildPortfolioCalendar(stockDataBySymbol, config) {
+  const dates = new Set();
+  for (const stockData of Object.values(stockDataBySymbol)) {
+    Object.keys(stockData.data)
+      .filter(date => shouldIncludeDate(date, config))
+      .forEach(date => dates.add(date));
+  }
+
+  return Array.from(dates).sort((a, b) => toSortableDate(a).localeCompare(toSortableDate(b)));
+}
+
+/**
+ * Get the % of portfolio equity allocated to a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {Object} portfolio - Portfolio settings
+ * @returns {number} - Allocation percentage
+ */
+function getSymbolAllocationPercent(symbol, portfolio) {
+  const allocation = portfolio.symbolAllocations?.[symbol];
+  return allocation !== undefined ? allocation : portfolio.maxAllocationPercentPerSymbol;
+}
+
+/**
+ * Capital blocked by an open position (position value divided by leverage)
+ * @param {Object} trade - Trade result from simulateTrade
+ * @param {Object} capital - Capital configuration
+ * @returns {number} - Margin used by the position
+ */
+function getPositionMargin(trade, capital) {
+  return (trade.entry.price * trade.shares) / (capital.leverage || 1);
+}
+
+/**
+ * Accept a day's candidate trades in entry-time order against the portfolio limits
+ * @param {Array} candidates - Trade results from all symbols for one day
+ * @param {number} equity - Portfolio equity at the start of the day
+ * @param {Object} config - Merged configuration with capital, portfolio and accountRisk settings
+ * @returns {Object} - Accepted trades, trades skipped by portfolio limits with the blocking rule and
+ *   skip records of trades blocked by the account's maximum daily loss
+ */
+function allocateDayTrades(candidates, equity, config) {
+  const portfolio = config.portfolio;
+  const poolCapital = equity * (config.capital.utilizationPercent / 100);
+  const sortedCandidates = [...candidates].sort((a, b) => a.entry.time.localeCompare(b.entry.time));
+
+  const accepted = [];
+  const skipped = [];
+  const accountRiskSkips = [];
+  let openPositions = [];
+
+  for (const trade of sortedCandidates) {
+    // No new entries once the trades closed so far today have reached the account's maximum daily loss
+    const dailyLossCheck = checkDailyLoss(accepted.filter(position => position.exit.time <= trade.entry.time), config);
+    if (dailyLossCheck.blocked) {
+      accountRiskSkips.push({ ...createAccountRiskSkipRecord(trade.date, trade, dailyLossCheck), symbol: trade.symbol });
+      continue;
+    }
+
+    // Release positions that have exited by the time this entry fills
+    openPositions = openPositions.filter(position => position.exit.time > trade.entry.time);
+
+    const usedMargin = openPositions.reduce((sum, position) => sum + getPositionMargin(position, config.capital), 0);
+    const requiredMargin = getPositionMargin(trade, config.capital);
+
+    let blockedBy = null;
+    if (openPositions.length >= portfolio.maxConcurrentPositions) {
+      blockedBy = "maxConcurrentPositions";
+    } else if (usedMargin + requiredMargin > poolCapital + 0.01) {
+      blockedBy = "insufficientCapital";
+    }
+
+    if (blockedBy) {
+      skipped.push({
+        date: trade.date,
+        symbol: trade.symbol,
+        type: trade.type,
+        entryTime: trade.entry.time,
+        entryPrice: trade.entry.price,
+        shares: trade.shares,
+        netProfit: trade.netProfit,
+        blockedBy: blockedBy,
+        openPositions: openPositions.length,
+        usedMargin: usedMargin,
+        requiredMargin: requiredMargin
+      });
+      continue;
+    }
+
+    openPositions.push(trade);
+    accepted.push({
+      ...trade,
+      portfolio: {
+        concurrentPositions: openPositions.length,
+        marginUsed: requiredMargin,
+        poolUtilizationPercent: poolCapital > 0 ? ((usedMargin + requiredMargin) / poolCapital) * 100 : 0
+      }
+    });
+  }
+
+  return { accepted, skipped, accountRiskSkips };
+}
+
+/**
+ * Summarise each symbol's contribution to the portfolio result
+ * @param {Array} symbols - Symbols included in the portfolio
+ * @param {Array} allTrades - All portfolio result objects (tagged with symbol)
+ * @param {Array} skippedTrades - Trades skipped by portfolio limits
+ * @param {number} totalNetProfit - Portfolio net profit
+ * @param {number} initialCapital - Portfolio starting equity
+ * @returns {Array} - Per-symbol contribution rows
+ */
+function calculateSymbolContribution(symbols, allTrades, skippedTrades, totalNetProfit, initialCapital) {
+  return symbols.map(symbol => {
+    const symbolTrades = allTrades.filter(trade => trade.symbol === symbol && isActualTrade(trade));
+    const netProfit = symbolTrades.reduce((sum, trade) => sum + (trade.netProfit || trade.profit || 0), 0);
+    const winningTrades = symbolTrades.filter(trade => (trade.netProfit || trade.profit || 0) > 0).length;
+    const totalFees = symbolTrades.reduce((sum, trade) => sum + (trade.totalFees || 0), 0);
+
+    return {
+      symbol: symbol,
+      trades: symbolTrades.length,
+      winningTrades: winningTrades,
+      winRate: symbolTrades.length > 0 ? (winningTrades / symbolTrades.length) * 100 : 0,
+      netProfit: netProfit,
+      totalFees: totalFees,
+      contributionPercent: totalNetProfit !== 0 ? (netProfit / Math.abs(totalNetProfit)) * 100 : 0,
+      returnOnPortfolioPercent: (netProfit / initialCapital) * 100,
+      skippedTrades: skippedTrades.filter(trade => trade.symbol === symbol).length
+    };
+  });
+}
+
+/**
+ * Backtest the strategy across several symbols with shared capital
+ * @param {Object} stockDataBySymbol - Stock data objects keyed by symbol
+ * @param {Object} config - Configuration object with optional portfolio settings
+ * @returns {Object} - Combined statistics, equity curve, per-symbol contribution and skipped trades
+ */
+function portfolioBacktest(stockDataBySymbol, config = defaultConfig) {
+  // Merge with default config
+  config = { ...defaultConfig, ...config };
+  config.portfolio = { ...defaultPortfolioConfig, ...(config.portfolio || {}) };
+
+  // Back-adjust each symbol for splits and bonuses
+  stockDataBySymbol = Object.fromEntries(Object.entries(stockDataBySymbol)
+    .map(([symbol, stockData]) => [symbol, applyCorporateActions(stockData, config)]));
+
+  const symbols = Object.keys(stockDataBySymbol);
+  const dates = buildPortfolioCalendar(stockDataBySymbol, config);
+
+  // Check each symbol's data quality first (throws when configured to refuse flagged data)
+  const dataValidationBySymbol = {};
+  const dayContextsBySymbol = {};
+  for (const symbol of symbols) {
+    const symbolDates = dates.filter(date => stockDataBySymbol[symbol].data[date]);
+    dataValidationBySymbol[symbol] = applyDataValidation(stockDataBySymbol[symbol], symbolDates, config);
+    dayContextsBySymbol[symbol] = buildDayContexts(stockDataBySymbol[symbol], config, dataValidationBySymbol[symbol]?.skippedDates);
+  }
+
+  const allTrades = [];
+  const skippedTrades = [];
+  let equity = config.capital.initial;
+
+  // Days whose data does not match the exchange session, per symbol
+  const sessionChecksBySymbol = Object.fromEntries(symbols.map(symbol => [symbol, []]));
+
+  // Account-level halts across days, applied to the shared account
+  const accountRiskState = createAccountRiskState(config.capital.initial);
+
+  for (const date of dates) {
+    // Equity used for allocations (only changes between days when compounding is enabled)
+    const allocationEquity = config.compounding?.enabled ? equity : config.capital.initial;
+    const dayResults = [];
+
+    for (const symbol of symbols) {
+      const dayData = stockDataBySymbol[symbol].data[date];
+      if (!dayData || dayData.length === 0) {
+        continue;
+      }
+
+      const dataValidation = dataValidationBySymbol[symbol];
+      if (dataValidation?.skippedDates.has(date)) {
+        dayResults.push({ ...createDataValidationSkipRecord(date, dataValidation.skippedDates.get(date)), symbol: symbol });
+        continue;
+      }
+
+      let sessionCheck = null;
+      if (config.exchangeCalendar?.enabled) {
+        sessionCheck = checkSessionDay(getSession(date, config), dayData, config);
+        if (sessionCheck.flags.length > 0) {
+          sessionChecksBySymbol[symbol].push(sessionCheck);
+        }
+
+        if (sessionCheck.flags.includes("unexpected") && config.exchangeCalendar.skipUnexpectedDays) {
+          dayResults.push({ ...createSessionSkipRecord(date, sessionCheck), symbol: symbol });
+          continue;
+        }
+      }
+
+      const allocationPercent = getSymbolAllocationPercent(symbol, config.portfolio);
+      const symbolConfig = {
+        ...config,
+        capital: { ...config.capital, initial: (allocationEquity * allocationPercent) / 100 },
+        accountRisk: { ...config.accountRisk, enabled: false } // Account-level controls run on the combined portfolio below
+      };
+
+      const dayContext = dayContextsBySymbol[symbol].get(date);
+      annotateRawPrices(analyzeTradingDayTrades(date, dayData, symbolConfig, dayContext), date, stockDataBySymbol[symbol])
+        .forEach(result => dayResults.push({
+          ...result,
+          ...(sessionCheck && sessionCheck.flags.length > 0 ? { sessionFlags: sessionCheck.flags } : {}),
+          symbol: symbol
+        }));
+    }
+
+    const candidates = dayResults.filter(result => isActualTrade(result) && result.entry && result.exit);
+    const dayConfig = { ...config, capital: { ...config.capital, initial: allocationEquity } };
+
+    // A halted account takes none of the day's trades (they are recorded as skipped opportunities)
+    const accountRiskCheck = checkAccountRiskDay(accountRiskState, date, config);
+    const { accepted, skipped, accountRiskSkips } = accountRiskCheck.blocked ?
+      {
+        accepted: [],
+        skipped: [],
+        accountRiskSkips: candidates.map(trade => ({ ...createAccountRiskSkipRecord(date, trade, accountRiskCheck), symbol: trade.symbol }))
+      } :
+      allocateDayTrades(candidates, allocationEquity, dayConfig);
+
+    allTrades.push(...dayResults.filter(result => !candidates.includes(result)), ...accepted, ...accountRiskSkips);
+    skippedTrades.push(...skipped);
+
+    const dayNetProfit = accepted.reduce((sum, trade) => sum + (trade.netProfit || trade.profit || 0), 0);
+    recordAccountRiskDay(accountRiskState, date, dayNetProfit, accepted.length > 0, accountRiskCheck, config);
+    equity += dayNetProfit;
+  }
+
+  // Calculate combined statistics
+  const stats = calculateStats(allTrades, config.capital, config);
+
+  // Combined day-by-day equity series
+  const equityCurve = buildEquityCurve(allTrades, config.capital.initial);
+
+  return {
+    ...stats,
+    symbols: symbols,
+    compounding: config.compounding?.enabled || false,
+    portfolioLimits: {
+      maxConcurrentPositions: config.portfolio.maxConcurrentPositions,
+      maxAllocationPercentPerSymbol: config.portfolio.maxAllocationPercentPerSymbol,
+      symbolAllocations: config.portfolio.symbolAllocations
+    },
+    symbolContribution: calculateSymbolContribution(symbols, allTrades, skippedTrades, stats.totalNetProfit, config.capital.initial),
+    skippedTrades: skippedTrades,
+    dataValidation: config.dataValidation?.enabled ?
+      Object.fromEntries(symbols.map(symbol => [symbol, summarizeDataValidation(dataValidationBySymbol[symbol])])) :
+      null,
+    sessionAnalysis: config.exchangeCalendar?.enabled ?
+      Object.fromEntries(symbols.map(symbol => [symbol, summarizeSessionChecks(sessionChecksBySymbol[symbol], config)])) :
+      null,
+    corporateActions: config.corporateActions?.enabled ?
+      Object.fromEntries(symbols.map(symbol => [symbol, summarizeCorporateActions(stockDataBySymbol[symbol])])) :
+      null,
+    skippedTradesByRule: {
+      maxConcurrentPositions: skippedTrades.filter(trade => trade.blockedBy === "maxConcurrentPositions").length,
+      insufficientCapital: skippedTrades.filter(trade => trade.blockedBy === "insufficientCapital").length
+    },
+    accountRiskAnalysis: config.accountRisk?.enabled ? summarizeAccountRisk(allTrades, accountRiskState) : null,
+    equityCurve,
+    allTrades,
+    configUsed: config
+  };
+}
+
+/**
+ * Main function to run the portfolio backtest
+ * @param {Array} symbols - Stock symbols to include
+ * @param {Object} config - Configuration object with optional portfolio settings
+ * @returns {Object} - The portfolio backtest results
+ */
+function runPortfolioBacktest(symbols, config = defaultConfig) {
+  try {
+    const portfolio = { ...defaultPortfolioConfig, ...(config.portfolio || {}) };
+    const stockDataBySymbol = {};
+
+    for (const symbol of symbols) {
+      const stockData = loadSymbolData(symbol, portfolio, config.dataSource || {});
+      if (stockData) {
+        stockDataBySymbol[symbol] = stockData;
+      }
+    }
+
+    if (Object.keys(stockDataBySymbol).length === 0) {
+      throw new Error('No stock data found for any symbol');
+    }
+
+    return portfolioBacktest(stockDataBySymbol, config);
+  } catch (error) {
+    console.error('Error running portfolio backtest:', error);
+    return { error: error.message };
+  }
+}
+
+// Run from the command line: node portfolio-backtest.js SBIN TCS ITC [config.json]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const configPath = args.find(arg => arg.endsWith('.json'));
+  const symbols = args.filter(arg => !arg.endsWith('.json'));
+  const config = configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : defaultConfig;
+
+  if (symbols.length === 0) {
+    console.log('Usage: node portfolio-backtest.js <SYMBOL> [<SYMBOL> ...] [config.json]');
+    process.exit(1);
+  }
+
+  const results = runPortfolioBacktest(symbols, config);
+  if (results.error) {
+    process.exit(1);
+  }
+
+  console.log('================ Portfolio Backtest Results ================');
+  console.log(`Symbols: ${results.symbols.join(', ')}`);
+  console.log(`Initial Capital: ₹${results.initialCapital.toFixed(2)}`);
+  console.log(`Final Balance: ₹${results.finalBalance.toFixed(2)}`);
+  console.log(`Total Net Profit: ₹${results.totalNetProfit.toFixed(2)}`);
+  console.log(`Total Trades: ${results.winningDays.length + results.losingDays.length}`);
+  console.log(`Win Rate: ${results.winRate.toFixed(2)}%`);
+  console.log(`Max Drawdown: ₹${results.riskMetrics.maxDrawdown.toFixed(2)} (${results.riskMetrics.maxDrawdownPercent.toFixed(2)}%)`);
+  console.log(`Max Concurrent Positions: ${results.portfolioLimits.maxConcurrentPositions}`);
+  console.log(`Trades Skipped (Concurrent Position Cap): ${results.skippedTradesByRule.maxConcurrentPositions}`);
+  console.log(`Trades Skipped (Insufficient Capital): ${results.skippedTradesByRule.insufficientCapital}`);
+  if (results.accountRiskAnalysis) {
+    console.log(`Trades Skipped (Account Risk): ${results.accountRiskAnalysis.totalSkippedTrades}`);
+    results.accountRiskAnalysis.events.forEach(event => {
+      console.log(`  ${event.date} ${event.event.toUpperCase()} (${event.rule}): ${event.reason}`);
+    });
+  }
+
+  console.log('\n================ Per-Symbol Contribution ================');
+  results.symbolContribution.forEach(row => {
+    console.log(`${row.symbol}: ${row.trades} trades, win rate ${row.winRate.toFixed(2)}%, net ₹${row.netProfit.toFixed(2)} (${row.contributionPercent.toFixed(2)}% of portfolio P/L), skipped ${row.skippedTrades}`);
+  });
+  console.log('=========================================================');
+
+  fs.writeFileSync('portfolio_results.json', JSON.stringify(results, null, 2));
+  console.log('\nPortfolio results saved to portfolio_results.json');
+}
+
+module.exports = {
+  defaultPortfolioConfig,
+  loadSymbolData,
+  buildPortfolioCalendar,
+  allocateDayTrades,
+  calculateSymbolContribution,
+  portfolioBacktest,
+  runPortfolioBacktest
+};
@@ -0,0 +1,160 @@
+/**
+ * Position sizing for simulated trades.
+ *
+ * Each mode proposes a share count which is then capped by the leverage limit
+ * (utilized capital × leverage) and, when configured, the broker margin requirement.
+ */
+const { calculateATR } = require('./indicators');
+
+/**
+ * Default position sizing configuration (legacy behaviour: all leveraged capital)
+ */
+const defaultPositionSizingConfig = {
+  mode: "capital", // "capital", "fixedFractionRisk", "fixedRupeeRisk", "fixedShares", "fixedNotional" or "volatilityScaled"
+  riskPercent: 1, // fixedFractionRisk / volatilityScaled: % of equity at risk per trade
+  riskAmount: 1000, // fixedRupeeRisk: rupees at risk per trade
+  shares: 100, // fixedShares: shares per trade
+  notional: 100000, // fixedNotional: position value per trade
+  atrPeriod: 14, // volatilityScaled: ATR lookback in candles completed before the entry candle
+  atrMultiplier: 1, // volatilityScaled: risk per share = ATR × multiplier
+  marginPercent: null // Broker margin requirement as % of position value (null = leverage limit only)
+};
+
+/**
+ * Sizing modes - each returns the requested (uncapped) share count and the inputs it used
+ */
+const sizingModes = {
+  capital: ({ entryPrice, leveragedCapital }) => ({
+    requestedShares: Math.floor(leveragedCapital / entryPrice)
+  }),
+
+  fixedFractionRisk: ({ riskPoints, equity }, settings) => {
+    const riskAmount = (equity * settings.riskPercent) / 100;
+    return {
+      requestedShares: riskPoints > 0 ? Math.floor(riskAmount / riskPoints) : 0,
+      riskAmount: riskAmount,
+      riskPerShare: riskPoints
+    };
+  },
+
+  fixedRupeeRisk: ({ riskPoints }, settings) => ({
+    requestedShares: riskPoints > 0 ? Math.floor(settings.riskAmount / riskPoints) : 0,
+    riskAmount: settings.riskAmount,
+    riskPerShare: riskPoints
+  }),
+
+  fixedShares: (inputs, settings) => ({
+    requestedShares: Math.floor(settings.shares)
+  }),
+
+  fixedNotional: ({ entryPrice }, settings) => ({
+    requestedShares: Math.floor(settings.notional / entryPrice)
+  }),
+
+  volatilityScaled: ({ equity, dayData, entryIndex }, settings) => {
+    // ATR of the candles completed before entry: the entry candle's range is not known when the
+    // limit order fills intrabar (no prior candle means no ATR and zero shares)
+    const atr = calculateATR(dayData, entryIndex - 1, settings.atrPeriod);
+    const riskPerShare = atr ? atr * settings.atrMultiplier : 0;
+    const riskAmount = (equity * settings.riskPercent) / 100;
+    return {
+      requestedShares: riskPerShare > 0 ? Math.floor(riskAmount / riskPerShare) : 0,
+      riskAmount: riskAmount,
+      riskPerShare: riskPerShare,
+      atr: atr
+    };
+  }
+};
+
+/**
+ * Cap a share count by the leverage and margin limits at a price
+ * @param {Object} positionSize - Sizing result (or { shares, cappedBy }) to cap
+ * @param {number} price - Price per share the position is valued at
+ * @param {Object} capital - Capital configuration (initial is treated as current equity)
+ * @param {Object} config - Configuration object with optional positionSizing settings
+ * @returns {Object} - Sizing result with the capped shares, the constraint that capped them and the limits at the price
+ */
+function capPositionSize(positionSize, price, capital, config) {
+  const settings = { ...defaultPositionSizingConfig, ...(config.positionSizing || {}) };
+  const availableCapital = capital.initial * (capital.utilizationPercent / 100);
+  const leveragedCapital = availableCapital * (capital.leverage || 1);
+
+  // Leverage limit: position value cannot exceed utilized capital × leverage
+  const leverageLimitShares = Math.floor(leveragedCapital / price);
+
+  // Margin limit: required margin cannot exceed utilized capital
+  const marginLimitShares = settings.marginPercent ?
+    Math.floor(availableCapital / ((price * settings.marginPercent) / 100)) :
+    null;
+
+  let shares = Math.max(positionSize.shares, 0);
+  let cappedBy = positionSize.cappedBy || null;
+
+  if (shares > leverageLimitShares) {
+    shares = leverageLimitShares;
+    cappedBy = "leverage";
+  }
+  if (marginLimitShares !== null && shares > marginLimitShares) {
+    shares = marginLimitShares;
+    cappedBy = "margin";
+  }
+
+  return {
+    ...positionSize,
+    shares: shares,
+    cappedBy: cappedBy,
+    positionValue: shares * price,
+    leverageLimitShares: leverageLimitShares,
+    marginLimitShares: marginLimitShares
+  };
+}
+
+/**
+ * Calculate the number of shares for a trade
+ * @param {Object} trade - Trade details: entryPrice, stopLoss, type, dayData and entryIndex
+ * @param {Object} capital - Capital configuration (initial is treated as current equity)
+ * @param {Object} config - Configuration object with optional positionSizing settings
+ * @returns {Object} - Sizing result with shares, mode and the constraint that capped the size
+ */
+function calculatePositionSize(trade, capital, config) {
+  const settings = { ...defaultPositionSizingConfig, ...(config.positionSizing || {}) };
+  const sizingMode = sizingModes[settings.mode];
+
+  if (!sizingMode) {
+    throw new Error(`Unknown position sizing mode: ${settings.mode}`);
+  }
+
+  const equity = capital.initial;
+  const availableCapital = capital.initial * (capital.utilizationPercent / 100);
+  const leverage = capital.leverage || 1;
+  const leveragedCapital = availableCapital * leverage;
+  const riskPoints = trade.type === "short" ?
+    trade.stopLoss - trade.entryPrice :
+    trade.entryPrice - trade.stopLoss;
+
+  const sizing = sizingMode({
+    entryPrice: trade.entryPrice,
+    riskPoints: riskPoints,
+    equity: equity,
+    leveragedCapital: leveragedCapital,
+    dayData: trade.dayData,
+    entryIndex: trade.entryIndex
+  }, settings);
+
+  return capPositionSize({
+    mode: settings.mode,
+    shares: sizing.requestedShares,
+    requestedShares: sizing.requestedShares,
+    cappedBy: null,
+    riskAmount: sizing.riskAmount ?? null,
+    riskPerShare: sizing.riskPerShare ?? null,
+    atr: sizing.atr ?? null
+  }, trade.entryPrice, capital, config);
+}
+
+module.exports = {
+  defaultPositionSizingConfig,
+  sizingModes,
+  capPositionSize,
+  calculatePositionSize
+};
@@ -0,0 +1,212 @@
+/**
+ * Risk-adjusted performance metrics for backtest results
+ */
+const { isActualTrade, buildEquityCurve } = require('./equity-curve');
+
+/**
+ * Default risk metric settings
+ */
+const defaultRiskMetricsConfig = {
+  riskFreeRatePercent: 0, // Annual risk-free rate used by Sharpe and Sortino ratios
+  tradingDaysPerYear: 252 // Used to annualize daily returns
+};
+
+/**
+ * Calculate the maximum drawdown with its duration and recovery date
+ * @param {Array} equityCurve - Equity points from buildEquityCurve
+ * @param {number} initialCapital - Starting equity
+ * @returns {Object} - Max drawdown in rupees and percent, peak/trough/recovery dates and duration
+ *   (the dates and duration belong to the largest rupee drawdown; the largest percentage drawdown
+ *   is tracked on its own, since it can happen earlier when equity was lower)
+ */
+function calculateDrawdownStats(equityCurve, initialCapital) {
+  let peakEquity = initialCapital;
+  let peakIndex = -1;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  let maxDrawdownPeakIndex = -1;
+  let maxDrawdownTroughIndex = -1;
+  let maxDrawdownPeakEquity = initialCapital;
+
+  equityCurve.forEach((point, index) => {
+    if (point.endEquity > peakEquity) {
+      peakEquity = point.endEquity;
+      peakIndex = index;
+    }
+
+    const drawdown = peakEquity - point.endEquity;
+    const drawdownPercent = peakEquity !== 0 ? (drawdown / peakEquity) * 100 : 0;
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdownPercent);
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPeakIndex = peakIndex;
+      maxDrawdownTroughIndex = index;
+      maxDrawdownPeakEquity = peakEquity;
+    }
+  });
+
+  if (maxDrawdownTroughIndex === -1) {
+    return {
+      maxDrawdown: 0,
+      maxDrawdownPercent: 0,
+      peakDate: null,
+      troughDate: null,
+      recoveryDate: null,
+      recovered: true,
+      durationDays: 0
+    };
+  }
+
+  // Recovery is the first day equity closes back at or above the peak that preceded the drawdown
+  let recoveryIndex = -1;
+  for (let i = maxDrawdownTroughIndex + 1; i < equityCurve.length; i++) {
+    if (equityCurve[i].endEquity >= maxDrawdownPeakEquity) {
+      recoveryIndex = i;
+      break;
+    }
+  }
+
+  const durationEndIndex = recoveryIndex !== -1 ? recoveryIndex : equityCurve.length - 1;
+
+  return {
+    maxDrawdown: maxDrawdown,
+    maxDrawdownPercent: maxDrawdownPercent,
+    peakDate: maxDrawdownPeakIndex !== -1 ? equityCurve[maxDrawdownPeakIndex].date : null,
+    troughDate: equityCurve[maxDrawdownTroughIndex].date,
+    recoveryDate: recoveryIndex !== -1 ? equityCurve[recoveryIndex].date : null,
+    recovered: recoveryIndex !== -1,
+    durationDays: durationEndIndex - maxDrawdownPeakIndex // Trading days from peak to recovery (or last day)
+  };
+}
+
+/**
+ * Calculate the mean and standard deviation of an array of numbers
+ * @param {Array} values - Array of numbers
+ * @returns {Object} - Mean and sample standard deviation
+ */
+function calculateMeanAndStdDev(values) {
+  if (values.length === 0) {
+    return { mean: 0, stdDev: 0 };
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1 ?
+    values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1) : 0;
+
+  return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Calculate the longest winning and losing streaks over the trade sequence
+ * @param {Array} actualTrades - Executed trades in chronological order
+ * @returns {Object} - Longest winning and losing streaks
+ */
+function calculateStreaks(actualTrades) {
+  let longestWinningStreak = 0;
+  let longestLosingStreak = 0;
+  let currentWinningStreak = 0;
+  let currentLosingStreak = 0;
+
+  for (const trade of actualTrades) {
+    if ((trade.netProfit || trade.profit || 0) > 0) {
+      currentWinningStreak++;
+      currentLosingStreak = 0;
+    } else {
+      currentLosingStreak++;
+      currentWinningStreak = 0;
+    }
+    longestWinningStreak = Math.max(longestWinningStreak, currentWinningStreak);
+    longestLosingStreak = Math.max(longestLosingStreak, currentLosingStreak);
+  }
+
+  return { longestWinningStreak, longestLosingStreak };
+}
+
+/**
+ * Calculate risk-adjusted metrics for a set of backtest results
+ * @param {Array} trades - All result objects from the backtest, in date order
+ * @param {number} initialCapital - Starting equity
+ * @param {Object} config - Configuration object with optional riskMetrics settings
+ * @returns {Object} - Drawdown, Sharpe, Sortino, Calmar, profit factor, expectancy, streaks and ulcer index
+ */
+function calculateRiskMetrics(trades, initialCapital, config = {}) {
+  const settings = { ...defaultRiskMetricsConfig, ...(config.riskMetrics || {}) };
+  const equityCurve = buildEquityCurve(trades, initialCapital);
+  const actualTrades = trades.filter(isActualTrade);
+  const tradeProfits = actualTrades.map(trade => trade.netProfit || trade.profit || 0);
+
+  // Drawdown
+  const drawdownStats = calculateDrawdownStats(equityCurve, initialCapital);
+
+  // Daily returns (as fractions) for Sharpe and Sortino
+  const dailyReturns = equityCurve.map(point => point.dayReturnPercent / 100);
+  const dailyRiskFreeRate = settings.riskFreeRatePercent / 100 / settings.tradingDaysPerYear;
+  const excessReturns = dailyReturns.map(dailyReturn => dailyReturn - dailyRiskFreeRate);
+  const { mean: meanExcessReturn, stdDev } = calculateMeanAndStdDev(excessReturns);
+  const annualizationFactor = Math.sqrt(settings.tradingDaysPerYear);
+
+  const sharpeRatio = stdDev > 0 ? (meanExcessReturn / stdDev) * annualizationFactor : 0;
+
+  // Sortino uses downside deviation (only returns below the risk-free rate)
+  const downsideDeviation = excessReturns.length > 0 ?
+    Math.sqrt(excessReturns.reduce((sum, value) => sum + Math.pow(Math.min(value, 0), 2), 0) / excessReturns.length) : 0;
+  const sortinoRatio = downsideDeviation > 0 ? (meanExcessReturn / downsideDeviation) * annualizationFactor : 0;
+
+  // Calmar: annualized return divided by max drawdown percentage
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].endEquity : initialCapital;
+  const annualizedReturnPercent = equityCurve.length > 0 && finalEquity > 0 ?
+    (Math.pow(finalEquity / initialCapital, settings.tradingDaysPerYear / equityCurve.length) - 1) * 100 : 0;
+  const calmarRatio = drawdownStats.maxDrawdownPercent > 0 ?
+    annualizedReturnPercent / drawdownStats.maxDrawdownPercent : 0;
+
+  // Profit factor: gross winning profit divided by gross losing amount (null when there are no losses)
+  const grossWinningProfit = tradeProfits.filter(profit => profit > 0).reduce((sum, profit) => sum + profit, 0);
+  const grossLosingAmount = Math.abs(tradeProfits.filter(profit => profit <= 0).reduce((sum, profit) => sum + profit, 0));
+  const profitFactor = grossLosingAmount > 0 ? grossWinningProfit / grossLosingAmount : (grossWinningProfit > 0 ? null : 0);
+
+  // Expectancy: average amount won or lost per trade, in rupees and in R multiples
+  const winningTrades = tradeProfits.filter(profit => profit > 0);
+  const losingTrades = tradeProfits.filter(profit => profit <= 0);
+  const winProbability = tradeProfits.length > 0 ? winningTrades.length / tradeProfits.length : 0;
+  const averageWin = winningTrades.length > 0 ? grossWinningProfit / winningTrades.length : 0;
+  const averageLoss = losingTrades.length > 0 ? grossLosingAmount / losingTrades.length : 0;
+  const expectancy = winProbability * averageWin - (1 - winProbability) * averageLoss;
+  const tradesWithRisk = actualTrades.filter(trade => trade.riskPoints > 0 && trade.shares > 0);
+  const expectancyR = tradesWithRisk.length > 0 ?
+    tradesWithRisk.reduce((sum, trade) => sum + (trade.netProfit || trade.profit || 0) / (trade.riskPoints * trade.shares), 0) / tradesWithRisk.length : 0;
+
+  // Ulcer index: root mean square of percentage drawdowns
+  const ulcerIndex = equityCurve.length > 0 ?
+    Math.sqrt(equityCurve.reduce((sum, point) => sum + Math.pow(point.drawdownPercent, 2), 0) / equityCurve.length) : 0;
+
+  return {
+    maxDrawdown: drawdownStats.maxDrawdown,
+    maxDrawdownPercent: drawdownStats.maxDrawdownPercent,
+    maxDrawdownPeakDate: drawdownStats.peakDate,
+    maxDrawdownTroughDate: drawdownStats.troughDate,
+    maxDrawdownRecoveryDate: drawdownStats.recoveryDate,
+    maxDrawdownRecovered: drawdownStats.recovered,
+    maxDrawdownDurationDays: drawdownStats.durationDays,
+    sharpeRatio,
+    sortinoRatio,
+    annualizedReturnPercent,
+    calmarRatio,
+    profitFactor,
+    expectancy,
+    expectancyR,
+    averageWin,
+    averageLoss,
+    ...calculateStreaks(actualTrades),
+    ulcerIndex,
+    tradingDays: equityCurve.length,
+    riskFreeRatePercent: settings.riskFreeRatePercent,
+    tradingDaysPerYear: settings.tradingDaysPerYear
+  };
+}
+
+module.exports = {
+  defaultRiskMetricsConfig,
+  calculateDrawdownStats,
+  calculateStreaks,
+  calculateRiskMetrics
+};
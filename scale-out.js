@@ -0,0 +1,175 @@
+/**
+ * Partial profit taking (scale-out) for simulated trades.
+ *
+ * A position is split into legs, each with its own share count and target expressed as a
+ * multiple of the initial risk. A leg without a target is a runner: it only leaves through
+ * the stop (trailed when trailingStop is enabled), the pre-market exit or the market close.
+ * The entry is a single order: it is filled and charged once on the whole position. Each leg
+ * is then simulated as its own exit, with its own order lifecycle and exit charges, and the
+ * leg results are combined into one trade with a blended exit price.
+ */
+const { sumCharges } = require('./cost-model');
+
+/**
+ * Default scale-out configuration (single full exit)
+ */
+const defaultScaleOutConfig = {
+  enabled: false, // Split each position into scale-out legs
+  legs: [ // Share percentages should add up to 100 (any rounding remainder goes to the last leg)
+    { percent: 50, rMultiple: 0.5 },
+    { percent: 30, rMultiple: 1 },
+    { percent: 20, rMultiple: null } // null = runner without a target
+  ]
+};
+
+/**
+ * Split a position into scale-out legs
+ * @param {number} totalShares - Shares in the whole position
+ * @param {Object} settings - Scale-out settings
+ * @returns {Array} - Legs with leg number, percent, rMultiple and shares (legs with no shares are dropped)
+ */
+function planScaleOutLegs(totalShares, settings) {
+  const legs = settings.legs || [];
+  const totalPercent = legs.reduce((sum, leg) => sum + leg.percent, 0);
+
+  if (legs.length === 0 || totalPercent > 100 + 1e-9) {
+    throw new Error(`Invalid scale-out legs: percentages add up to ${totalPercent}%`);
+  }
+
+  let allocatedShares = 0;
+  const plannedLegs = legs.map((leg, index) => {
+    const shares = index === legs.length - 1 ?
+      totalShares - allocatedShares :
+      Math.floor((totalShares * leg.percent) / 100);
+    allocatedShares += shares;
+    return {
+      leg: index + 1,
+      percent: leg.percent,
+      rMultiple: leg.rMultiple === undefined ? null : leg.rMultiple,
+      shares
+    };
+  });
+
+  return plannedLegs.filter(leg => leg.shares > 0);
+}
+
+/**
+ * Calculate the target price of a leg
+ * @param {Object} trade - Trade with type, planned entry price and stopLoss
+ * @param {number|null} rMultiple - Target as a multiple of the initial risk (null for a runner)
+ * @returns {number|null} - Target price (unrounded), or null for a runner
+ */
+function getLegTarget(trade, rMultiple) {
+  if (rMultiple === null) {
+    return null;
+  }
+
+  const riskPoints = Math.abs(trade.entry.price - trade.stopLoss);
+  return trade.type === "long" ?
+    trade.entry.price + rMultiple * riskPoints :
+    trade.entry.price - rMultiple * riskPoints;
+}
+
+/**
+ * Weighted average of a leg price by shares
+ * @param {Array} legResults - Simulated leg trades
+ * @param {Function} getPrice - Returns the price of a leg
+ * @returns {number} - Share-weighted average price
+ */
+function blendPrice(legResults, getPrice) {
+  const totalShares = legResults.reduce((sum, leg) => sum + leg.shares, 0);
+  return legResults.reduce((sum, leg) => sum + getPrice(leg) * leg.shares, 0) / totalShares;
+}
+
+/**
+ * Combine simulated legs into a single trade result
+ * @param {Array} legResults - Simulated leg trades (in leg order)
+ * @param {Array} plannedLegs - Legs from planScaleOutLegs
+ * @param {Object} trade - The planned trade
+ * @param {Object} positionSize - Sizing result for the whole position
+ * @param {Object} entryCharges - Charges of the single entry order of the whole position
+ * @returns {Object} - Trade result with blended entry/exit prices, summed fees and P&L and per-leg fills
+ */
+function combineLegResults(legResults, plannedLegs, trade, positionSize, entryCharges) {
+  // The leg that exits last carries the stop, target and pre-market exit details of the position
+  const lastLeg = legResults.reduce((last, leg) => (leg.exit.time > last.exit.time ? leg : last), legResults[0]);
+
+  const totalShares = legResults.reduce((sum, leg) => sum + leg.shares, 0);
+  const sum = getValue => legResults.reduce((total, leg) => total + getValue(leg), 0);
+
+  // Legs carry only their exit charges, the entry order is charged once
+  const exitCharges = sumCharges(legResults.map(leg => leg.exit.charges));
+  const grossProfit = sum(leg => leg.grossProfit);
+  const netProfit = sum(leg => leg.netProfit) - entryCharges.total;
+  const actualCapitalUsed = sum(leg => leg.actualCapitalUsed);
+  const exitReasons = [...new Set(legResults.map(leg => leg.exit.reason))];
+  const blendedExitPrice = blendPrice(legResults, leg => leg.exit.price);
+
+  return {
+    ...lastLeg,
+    entry: {
+      ...lastLeg.entry,
+      price: blendPrice(legResults, leg => leg.entry.price),
+      fee: entryCharges.total,
+      charges: entryCharges
+    },
+    exit: {
+      ...lastLeg.exit,
+      price: blendedExitPrice,
+      orderPrice: blendPrice(legResults, leg => leg.exit.orderPrice),
+      reason: exitReasons.length === 1 ? exitReasons[0] : "scale-out exit",
+      fee: exitCharges.total,
+      charges: exitCharges
+    },
+    slippage: {
+      ...lastLeg.slippage,
+      entrySlippage: blendPrice(legResults, leg => leg.slippage.entrySlippage),
+      exitSlippage: blendPrice(legResults, leg => leg.slippage.exitSlippage),
+      totalSlippagePoints: blendPrice(legResults, leg => leg.slippage.totalSlippagePoints),
+      totalSlippageAmount: sum(leg => leg.slippage.totalSlippageAmount)
+    },
+    target: trade.target,
+    shares: totalShares,
+    positionSizing: positionSize,
+    grossInvestedAmount: sum(leg => leg.grossInvestedAmount),
+    actualCapitalUsed: actualCapitalUsed,
+    totalFees: entryCharges.total + exitCharges.total,
+    charges: {
+      costModel: lastLeg.charges.costModel,
+      ...sumCharges([entryCharges, exitCharges])
+    },
+    profit: netProfit,
+    profitPercentage: (netProfit / actualCapitalUsed) * 100,
+    grossProfit: grossProfit,
+    netProfit: netProfit,
+    grossProfitPercentage: (grossProfit / actualCapitalUsed) * 100,
+    netProfitPercentage: (netProfit / actualCapitalUsed) * 100,
+    maxFavorableExcursion: (lastLeg.maxFavorableExcursion / lastLeg.shares) * totalShares,
+    scaleOut: {
+      blendedExitPrice: blendedExitPrice,
+      totalLegs: legResults.length,
+      legs: legResults.map((leg, index) => ({
+        leg: plannedLegs[index].leg,
+        percent: plannedLegs[index].percent,
+        rMultiple: plannedLegs[index].rMultiple,
+        shares: leg.shares,
+        target: plannedLegs[index].rMultiple === null ? null : leg.target,
+        entryPrice: leg.entry.price,
+        exitPrice: leg.exit.price,
+        exitTime: leg.exit.time,
+        exitReason: leg.exit.reason,
+        fees: leg.totalFees, // Exit charges of the leg
+        grossProfit: leg.grossProfit,
+        netProfit: leg.netProfit, // Before the shared entry charges
+        targetExitDetails: leg.targetExitDetails
+      }))
+    }
+  };
+}
+
+module.exports = {
+  defaultScaleOutConfig,
+  planScaleOutLegs,
+  getLegTarget,
+  combineLegResults
+};
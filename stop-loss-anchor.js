@@ -0,0 +1,87 @@
+/**
+ * Swing price selection and stop-loss buffers for breakout detection.
+ *
+ * Swing highs/lows (and therefore breakout levels and stops) can be measured on candle
+ * bodies, wicks or closes. The stop can then be pushed beyond the swing by a buffer in
+ * ticks, percent of the swing price or ATR multiples.
+ */
+const { calculateATR } = require('./indicators');
+
+/**
+ * Default stop-loss anchor configuration (legacy behaviour: body prices, no buffer)
+ */
+const defaultStopLossAnchorConfig = {
+  swingPrices: "body", // "body" (open/close), "wick" (high/low) or "close"
+  bufferType: "none", // "none", "ticks", "percent" or "atr"
+  bufferTicks: 2, // ticks: buffer in ticks of priceRounding.tickSize
+  bufferPercent: 0.1, // percent: buffer as % of the swing price
+  atrPeriod: 14, // atr: ATR lookback in candles
+  atrMultiplier: 0.5 // atr: buffer = ATR × multiplier
+};
+
+/**
+ * Swing price readers by anchor - each returns the high and low price of a candle
+ */
+const swingPriceAnchors = {
+  body: candle => ({ high: Math.max(candle.open, candle.close), low: Math.min(candle.open, candle.close) }),
+  wick: candle => ({ high: candle.high, low: candle.low }),
+  close: candle => ({ high: candle.close, low: candle.close })
+};
+
+/**
+ * Resolve stop-loss anchor settings from configuration
+ * @param {Object} config - Configuration object with optional stopLossAnchor settings
+ * @returns {Object} - Stop-loss anchor settings
+ */
+function getStopLossAnchorSettings(config) {
+  const settings = { ...defaultStopLossAnchorConfig, ...(config.stopLossAnchor || {}) };
+
+  if (!swingPriceAnchors[settings.swingPrices]) {
+    throw new Error(`Unknown swing price anchor: ${settings.swingPrices}`);
+  }
+  return settings;
+}
+
+/**
+ * Get the swing high and low prices of a candle
+ * @param {Object} candle - Candle object with open, high, low, close
+ * @param {Object} settings - Stop-loss anchor settings
+ * @returns {Object} - { high, low } according to the anchor
+ */
+function getSwingPrices(candle, settings) {
+  return swingPriceAnchors[settings.swingPrices](candle);
+}
+
+/**
+ * Calculate the stop-loss buffer in points
+ * @param {number} swingPrice - Swing price the stop is anchored to
+ * @param {Array} dayData - Candle data for the day
+ * @param {number} index - Index of the breakout candle
+ * @param {Object} settings - Stop-loss anchor settings
+ * @param {number} tickSize - Tick size
+ * @returns {number} - Buffer in points (0 when the buffer cannot be calculated)
+ */
+function calculateStopLossBuffer(swingPrice, dayData, index, settings, tickSize) {
+  switch (settings.bufferType) {
+    case "ticks":
+      return settings.bufferTicks * tickSize;
+    case "percent":
+      return (swingPrice * settings.bufferPercent) / 100;
+    case "atr": {
+      const atr = calculateATR(dayData, index, settings.atrPeriod);
+      return atr ? atr * settings.atrMultiplier : 0;
+    }
+    case "none":
+      return 0;
+    default:
+      throw new Error(`Unknown stop-loss buffer type: ${settings.bufferType}`);
+  }
+}
+
+module.exports = {
+  defaultStopLossAnchorConfig,
+  swingPriceAnchors,
+  getStopLossAnchorSettings,
+  getSwingPrices,
+  calculateStopLossBuffer
+};
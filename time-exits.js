@@ -0,0 +1,111 @@
+/**
+ * Time-based exit rules for simulated trades (in addition to marketExitTime).
+ *
+ * - noProgress: exit if the trade has not moved +X R in its favour within N minutes of entry
+ * - maxHolding: exit once the trade has been open for N minutes
+ * - tightenTarget: after a clock time, pull the target in to +X R (only if that is closer)
+ *
+ * Exits use the same skip-one-candle limit order flow as the pre-market exit.
+ */
+
+/**
+ * Default time exit configuration (all rules disabled)
+ */
+const defaultTimeExitsConfig = {
+  noProgress: {
+    enabled: false, // Exit trades that haven't reached +rMultiple R within the given minutes
+    minutes: 30,
+    rMultiple: 0.5
+  },
+  maxHolding: {
+    enabled: false, // Exit trades open longer than the given minutes
+    minutes: 120
+  },
+  tightenTarget: {
+    enabled: false, // After the given time (24-hour HH:MM, or session-relative such as "close-60"), move the target to +rMultiple R
+    time: "14:00",
+    rMultiple: 0.5
+  },
+  dynamicPriceAdjustment: true // Move unfilled time exit orders to each candle's close
+};
+
+/**
+ * Exit reasons by time rule
+ */
+const TIME_EXIT_REASONS = {
+  noProgress: "no progress exit limit order filled",
+  maxHolding: "max holding time exit limit order filled",
+  tightenTarget: "tightened target limit order filled"
+};
+
+/**
+ * Resolve time exit settings from configuration
+ * @param {Object} config - Configuration object with optional timeExits settings
+ * @returns {Object} - Time exit settings with each rule merged over its defaults
+ */
+function getTimeExitSettings(config) {
+  const timeExits = config.timeExits || {};
+  return {
+    ...defaultTimeExitsConfig,
+    ...timeExits,
+    noProgress: { ...defaultTimeExitsConfig.noProgress, ...(timeExits.noProgress || {}) },
+    maxHolding: { ...defaultTimeExitsConfig.maxHolding, ...(timeExits.maxHolding || {}) },
+    tightenTarget: { ...defaultTimeExitsConfig.tightenTarget, ...(timeExits.tightenTarget || {}) }
+  };
+}
+
+/**
+ * Check whether a time rule calls for an exit on the current candle
+ * @param {Object} settings - Time exit settings
+ * @param {number} minutesInTrade - Minutes between the entry candle and the current candle
+ * @param {number} favourablePoints - Best favourable move since entry (points)
+ * @param {number} riskPoints - Initial risk per share (points)
+ * @returns {string|null} - "noProgress", "maxHolding" or null
+ */
+function checkTimeExit(settings, minutesInTrade, favourablePoints, riskPoints) {
+  if (settings.maxHolding.enabled && minutesInTrade >= settings.maxHolding.minutes) {
+    return "maxHolding";
+  }
+
+  if (settings.noProgress.enabled && minutesInTrade >= settings.noProgress.minutes &&
+    favourablePoints < settings.noProgress.rMultiple * riskPoints) {
+    return "noProgress";
+  }
+
+  return null;
+}
+
+/**
+ * Calculate the tightened target once the tighten time has passed
+ * @param {Object} settings - Time exit settings
+ * @param {Object} trade - Trade with type and entry price
+ * @param {number} currentTarget - Target currently in force
+ * @param {number} riskPoints - Initial risk per share (points)
+ * @param {number} minuteOfDay - Minutes since midnight of the current candle
+ * @returns {number|null} - New (unrounded) target, or null if the target stays as it is
+ */
+function getTightenedTarget(settings, trade, currentTarget, riskPoints, minuteOfDay) {
+  if (!settings.tightenTarget.enabled) {
+    return null;
+  }
+
+  const [hours, minutes] = settings.tightenTarget.time.split(':').map(part => parseInt(part, 10));
+  if (minuteOfDay < hours * 60 + minutes) {
+    return null;
+  }
+
+  const target = trade.type === "long" ?
+    trade.entry.price + settings.tightenTarget.rMultiple * riskPoints :
+    trade.entry.price - settings.tightenTarget.rMultiple * riskPoints;
+
+  const isCloser = trade.type === "long" ? target < currentTarget : target > currentTarget;
+  return isCloser ? target : null;
+}
+
+module.exports = {
+  defaultTimeExitsConfig,
+  TIME_EXIT_REASONS,
+  getTimeExitSettings,
+  checkTimeExit,
+  getTightenedTarget
+};
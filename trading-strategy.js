@@ -1,4 +1,61 @@
-const fs = require('fs');
+const { defaultFillModelConfig, isLimitOrderFilled, applyFillSlippage } = require('./fill-model');
+const { CHARGE_TYPES, getCostModel, calculateOrderCharges, sumCharges } = require('./cost-model');
+const { defaultPositionSizingConfig, calculatePositionSize, capPositionSize } = require('./position-sizing');
+const { buildEquityCurve } = require('./equity-curve');
+const { defaultBreakoutFiltersConfig, calculateFilterIndicators, evaluateBreakoutFilters } = require('./breakout-filters');
+const { defaultStopLossAnchorConfig, getStopLossAnchorSettings, calculateStopLossBuffer } = require('./stop-loss-anchor');
+const { defaultBreakoutDetectorConfig, getBreakoutDetectorSettings, getBreakoutDetector } = require('./breakout-detectors');
+const { defaultDayContextConfig, defaultGapFilterConfig, buildDayContexts, checkGapFilter } = require('./day-context');
+const {
+  defaultGapClassificationConfig,
+  getGapClassificationSettings,
+  classifyGap,
+  isGapClassAllowed,
+  summarizeByGapClass
+} = require('./gap-classification');
+const {
+  defaultCandlestickPatternsConfig,
+  getCandlestickPatternSettings,
+  findPatternsAround,
+  isEntryConfirmed,
+  listPatternNames,
+  summarizeByPattern
+} = require('./candlestick-patterns');
+const {
+  defaultAccountRiskConfig,
+  createAccountRiskState,
+  checkAccountRiskDay,
+  recordAccountRiskDay,
+  checkDailyLoss,
+  summarizeAccountRisk
+} = require('./account-risk');
+const { defaultTrailingStopConfig, createTrailingStopState, updateTrailingStop } = require('./trailing-stop');
+const {
+  defaultBreakevenStopConfig,
+  getBreakevenStopSettings,
+  getBreakevenTrigger,
+  getBreakevenStopLevel,
+  classifyBreakevenOutcome
+} = require('./breakeven-stop');
+const { defaultScaleOutConfig, planScaleOutLegs, getLegTarget, combineLegResults } = require('./scale-out');
+const {
+  defaultTimeExitsConfig,
+  TIME_EXIT_REASONS,
+  getTimeExitSettings,
+  checkTimeExit,
+  getTightenedTarget
+} = require('./time-exits');
+const { defaultRiskMetricsConfig, calculateRiskMetrics } = require('./risk-metrics');
+const { defaultDataSourceConfig, loadStockData } = require('./data-loader');
+const { defaultTimeframeConfig, resampleForConfig, getBaseCandles, getCandleStartTimestamp } = require('./candle-resampler');
+const { defaultDataValidationConfig, applyDataValidation } = require('./data-validator');
+const { defaultExchangeCalendarConfig, getSession, resolveSessionTimes, checkSessionDay } = require('./exchange-calendar');
+const {
+  defaultCorporateActionsConfig,
+  applyCorporateActions,
+  annotateRawPrices,
+  summarizeCorporateActions
+} = require('./corporate-actions');
 
 /**
  * Default configuration for the backtest
@@ -7,19 +64,37 @@ const defaultConfig = {
   minThreshold: 60, // Minimum time threshold for breakout in minutes
   maxThreshold: 180, // Maximum time threshold for breakout in minutes
   riskRewardRatio: 1,
+  maxTradesPerDay: 1, // Maximum trades per day; after each exit, breakout detection resumes from the exit candle
   pullbackPercentage: 10, // Percentage of stop-loss points to wait for pullback
   minimumStopLossPercent: 0.5, // Minimum stop loss as percentage of current price
+  stopLossAnchor: {
+    ...defaultStopLossAnchorConfig // Swing prices (body, wick or close) and stop buffer (see stop-loss-anchor.js)
+  },
+  timeframe: {
+    ...defaultTimeframeConfig // Bar size used for breakout detection (thresholds stay in minutes)
+  },
+  targetBeforePullback: {
+    enabled: true, // Invalidate a breakout when price reaches its target before the pullback entry fills
+    description: "Skip the setup if target is reached before the pullback entry order fills"
+  },
   entryTimeRange: {
     enabled: false, // Whether to restrict entry times
-    startTime: "10:15", // Entry allowed from this time (24-hour format HH:MM)
-    endTime: "14:00"   // Entry allowed until this time (24-hour format HH:MM)
+    startTime: "10:15", // Entry allowed from this time (24-hour format HH:MM, or session-relative such as "open+60")
+    endTime: "14:00"   // Entry allowed until this time (24-hour format HH:MM, or session-relative such as "close-90")
+  },
+  simultaneousPositions: {
+    enabled: false, // Simulate long and short entries on the same day as separate positions
+    capitalSplitPercent: 50 // Percentage of utilized capital allocated to each side's position
   },
   marketExitTime: {
     enabled: false, // Whether to force exit at specific time
-    exitTime: "15:00", // Force exit at this time (24-hour format HH:MM)
+    exitTime: "15:00", // Force exit at this time (24-hour format HH:MM, or session-relative such as "close-30")
     preExitLimitOrderMinutes: 10, // Place limit order X minutes before market exit time
     dynamicPriceAdjustment: true // Enable dynamic price adjustment
   },
+  timeExits: {
+    ...defaultTimeExitsConfig // No-progress, max holding time and target tightening rules (see time-exits.js)
+  },
   dateFilter: {
     enabled: false,
     specificDate: "01/12/2023",
@@ -28,6 +103,27 @@ const defaultConfig = {
       end: null
     }
   },
+  exchangeCalendar: {
+    ...defaultExchangeCalendarConfig // Holidays, special sessions and half days (see exchange-calendar.js)
+  },
+  breakoutDetector: {
+    ...defaultBreakoutDetectorConfig // Breakout detection mode: swing threshold, opening range or prior-day levels (see breakout-detectors.js)
+  },
+  dayContext: {
+    ...defaultDayContextConfig // Prior-day levels passed to the analyser (see day-context.js)
+  },
+  gapFilter: {
+    ...defaultGapFilterConfig // Skip days by opening gap versus the previous close (see day-context.js)
+  },
+  gapClassification: {
+    ...defaultGapClassificationConfig // Gap-up/gap-down/inside day classes and per-side filters (see gap-classification.js)
+  },
+  candlestickPatterns: {
+    ...defaultCandlestickPatternsConfig // Patterns around breakout and pullback candles, optional entry confirmation (see candlestick-patterns.js)
+  },
+  breakoutFilters: {
+    ...defaultBreakoutFiltersConfig // Indicator rules gating long and short breakouts (see breakout-filters.js)
+  },
   volumeConfirmation: {
     enabled: true,
     volumeMultiplier: 3,
@@ -39,6 +135,22 @@ const defaultConfig = {
     leverage: 5, // 5x leverage
     brokerageFeePercent: 0.06 // 0.06% brokerage fee
   },
+  compounding: {
+    enabled: false // Size each day's trades from the equity left after the previous day
+  },
+  accountRisk: {
+    ...defaultAccountRiskConfig // Max daily loss, consecutive losing day pause and weekly drawdown stop (see account-risk.js)
+  },
+  riskMetrics: {
+    ...defaultRiskMetricsConfig // Risk-free rate and annualization for Sharpe/Sortino/Calmar
+  },
+  positionSizing: {
+    ...defaultPositionSizingConfig // Sizing mode and limits (see position-sizing.js)
+  },
+  costModel: {
+    preset: "flat", // "flat" (capital.brokerageFeePercent), "nseIntradayEquity", "discountBroker" or "zeroBrokerage"
+    overrides: {} // Override individual rates of the preset (see cost-model.js)
+  },
   stopLossExitConfig: {
     enabled: true, // Whether to use dynamic stop loss exit
     dynamicStopLossAdjustment: true, // Enable dynamic stop loss price adjustment
@@ -46,6 +158,15 @@ const defaultConfig = {
     forceMarketOrderAfterMax: true, // Use market order as circuit breaker when maxLossPercent is hit
     description: "Wait for actual SL breach, place limit order at breach candle close, skip one candle, then check for fill"
   },
+  trailingStop: {
+    ...defaultTrailingStopConfig // Trail the stop after a favourable move (see trailing-stop.js)
+  },
+  breakevenStop: {
+    ...defaultBreakevenStopConfig // Move the stop to entry (plus fees) after a favourable move (see breakeven-stop.js)
+  },
+  scaleOut: {
+    ...defaultScaleOutConfig // Partial profit taking at multiple R targets (see scale-out.js)
+  },
   targetExitConfig: {
     enabled: true, // Enable dynamic target exit with limit orders
     dynamicTargetAdjustment: true, // Enable dynamic target price adjustment
@@ -59,27 +180,21 @@ const defaultConfig = {
   priceRounding: {
     enabled: true, // Enable price rounding to nearest 0.05
     tickSize: 0.05 // Round to nearest 0.05 rupees
+  },
+  fillModel: {
+    ...defaultFillModelConfig // Slippage and limit order fill rules (see fill-model.js)
+  },
+  dataSource: {
+    ...defaultDataSourceConfig // File format, column mapping, date format and timezone (see data-loader.js)
+  },
+  dataValidation: {
+    ...defaultDataValidationConfig // Data quality checks run before the backtest (see data-validator.js)
+  },
+  corporateActions: {
+    ...defaultCorporateActionsConfig // Split and bonus back-adjustment (see corporate-actions.js)
   }
 };
 
-/**
- * Get the body high of a candle (avoiding upper wick)
- * @param {Object} candle - Candle object with open, high, low, close
- * @returns {number} - The highest price of the candle body
- */
-function getCandleBodyHigh(candle) {
-  return Math.max(candle.open, candle.close);
-}
-
-/**
- * Get the body low of a candle (avoiding lower wick)
- * @param {Object} candle - Candle object with open, high, low, close
- * @returns {number} - The lowest price of the candle body
- */
-function getCandleBodyLow(candle) {
-  return Math.min(candle.open, candle.close);
-}
-
 /**
  * Round price to the nearest tick size (0.05 by default for Indian markets)
  * @param {number} price - The price to round
@@ -223,16 +338,6 @@ function shouldForceMarketExit(timestamp, config) {
   return currentTimeMinutes >= exitTimeMinutes;
 }
 
-/**
- * Check if time difference is within the allowed threshold range
- * @param {number} timeDiff - Time difference in minutes
- * @param {Object} config - Configuration with min/max threshold settings
- * @returns {boolean} - Whether time difference is within allowed range
- */
-function isTimeThresholdMet(timeDiff, config) {
-  return timeDiff >= config.minThreshold && timeDiff <= config.maxThreshold;
-}
-
 /**
  * Calculate the time difference in minutes between two timestamps
  * @param {string} timestamp1 - First timestamp
@@ -362,14 +467,43 @@ function isVolumeConfirmationMet(data, currentIndex, config) {
   };
 }
 
+/**
+ * Create the record of a breakout invalidated because price reached its target before the pullback entry filled
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Object} breakout - The pending breakout that was invalidated
+ * @param {Object|null} entryOrder - The pending entry order, if one had been placed
+ * @param {Object} candle - The candle that reached the target
+ * @param {number} reachedPrice - The candle extreme that reached the target
+ * @returns {Object} - Target reached before pullback record
+ */
+function createTargetBeforePullbackRecord(date, breakout, entryOrder, candle, reachedPrice) {
+  return {
+    date,
+    outcome: "target reached before pullback",
+    breakoutType: breakout.type,
+    breakoutTime: breakout.breakoutDetails.breakoutTime,
+    breakoutPrice: breakout.breakoutPrice,
+    requiredPullbackPrice: breakout.pullbackEntryPrice,
+    target: breakout.target,
+    stopLoss: breakout.stopLoss,
+    targetReachedTime: formatTimestamp(candle.timestamp_readable_IST),
+    targetReachedPrice: reachedPrice,
+    entryOrderPlaced: !!entryOrder,
+    entryOrderPrice: entryOrder ? entryOrder.price : null
+  };
+}
+
 /**
  * Analyze a trading day with the given strategy (with pullback entry and minimum stop loss validation)
  * @param {string} date - Date string in DD/MM/YYYY format
  * @param {Array} dayData - Candle data for the day
  * @param {Object} config - Configuration object
- * @returns {Object} - Trade information for the day
+ * @param {number} startIndex - Candle index to start breakout detection from (default 0)
+ * @param {Object|null} dayContext - Prior-day levels from buildDayContexts (default null)
+ * @returns {Object|Array} - Trade information for the day (an array of both positions when
+ *   simultaneousPositions is enabled and both sides filled)
  */
-function analyzeTradingDay(date, dayData, config) {
+function analyzeTradingDay(date, dayData, config, startIndex = 0, dayContext = null) {
   if (!dayData || dayData.length === 0) {
     return {
       date,
@@ -381,17 +515,17 @@ function analyzeTradingDay(date, dayData, config) {
     };
   }
 
-  // Initialize tracking variables - NOW USING BODY PRICES (AVOIDING WICKS)
-  let previousHighTime = dayData[0].timestamp_readable_IST;
-  let previousHighPrice = getCandleBodyHigh(dayData[0]); // Use body high instead of high
-  let previousLowTime = dayData[0].timestamp_readable_IST;
-  let previousLowPrice = getCandleBodyLow(dayData[0]); // Use body low instead of low
+  // Initialize tracking variables - USING SWING PRICES (body prices by default, avoiding wicks)
+  const anchorSettings = getStopLossAnchorSettings(config);
+  const useBodyPricesOnly = anchorSettings.swingPrices === "body";
+  const tickSize = config.priceRounding?.tickSize || 0.05;
+
+  // Indicators for the breakout filters are computed from the day's first candle
+  const dayIndicators = calculateFilterIndicators(dayData, config);
 
-  // Track the lowest point since the last high and highest point since the last low - USING BODY PRICES
-  let lowestSinceLastHigh = getCandleBodyLow(dayData[0]);
-  let lowestSinceLastHighTime = dayData[0].timestamp_readable_IST;
-  let highestSinceLastLow = getCandleBodyHigh(dayData[0]);
-  let highestSinceLastLowTime = dayData[0].timestamp_readable_IST;
+  // Breakout levels and stop anchors come from the configured detector (see breakout-detectors.js)
+  const detector = getBreakoutDetector(config);
+  const detectorState = detector.createState(dayData, startIndex, config, dayContext);
 
   // Track pending breakouts waiting for pullback
   let pendingLongBreakout = null;
@@ -407,34 +541,38 @@ function analyzeTradingDay(date, dayData, config) {
   // Track invalid breakouts encountered during the day
   let invalidBreakouts = [];
 
-  // Initialize patterns array
-  let patterns = [];
+  // Track breakouts rejected by the indicator filters
+  let filteredBreakouts = [];
 
-  for (let i = 1; i < dayData.length; i++) {
-    const candle = dayData[i];
+  // Track breakouts on sides the day's gap class does not allow
+  const gapClass = classifyGap(dayContext, config).gapClass;
+  let gapClassRejectedBreakouts = [];
 
-    // Update lowest since last high and highest since last low - USING BODY PRICES
-    const currentBodyLow = getCandleBodyLow(candle);
-    const currentBodyHigh = getCandleBodyHigh(candle);
+  // Track setups invalidated because price reached the target before the pullback entry filled
+  let targetReachedBeforePullback = [];
 
-    if (currentBodyLow < lowestSinceLastHigh) {
-      lowestSinceLastHigh = currentBodyLow;
-      lowestSinceLastHighTime = candle.timestamp_readable_IST;
-    }
+  // Candlestick patterns around breakout and pullback candles
+  const patternSettings = getCandlestickPatternSettings(config);
 
-    if (currentBodyHigh > highestSinceLastLow) {
-      highestSinceLastLow = currentBodyHigh;
-      highestSinceLastLowTime = candle.timestamp_readable_IST;
-    }
+  for (let i = startIndex + 1; i < dayData.length; i++) {
+    const candle = dayData[i];
+
+    // Invalidate setups whose target is reached before the pullback entry order fills
+    if (config.targetBeforePullback?.enabled) {
+      if (pendingLongBreakout && !longEntry && candle.high >= pendingLongBreakout.target) {
+        targetReachedBeforePullback.push(
+          createTargetBeforePullbackRecord(date, pendingLongBreakout, pendingLongEntryOrder, candle, candle.high)
+        );
+        pendingLongBreakout = null;
+        pendingLongEntryOrder = null;
+      }
 
-    // Check for candlestick patterns
-    const prevCandle = i > 0 ? dayData[i - 1] : null;
-    if (prevCandle) {
-      // Check for hammer pattern (potential reversal)
-      if (candle.close > candle.open && // Bullish candle
-        (candle.high - candle.close) < (candle.open - candle.low) * 0.5 && // Small upper shadow
-        (candle.open - candle.low) > (candle.close - candle.open) * 2) { // Long lower shadow
-        patterns.push("hammer");
+      if (pendingShortBreakout && !shortEntry && candle.low <= pendingShortBreakout.target) {
+        targetReachedBeforePullback.push(
+          createTargetBeforePullbackRecord(date, pendingShortBreakout, pendingShortEntryOrder, candle, candle.low)
+        );
+        pendingShortBreakout = null;
+        pendingShortEntryOrder = null;
       }
     }
 
@@ -444,16 +582,32 @@ function analyzeTradingDay(date, dayData, config) {
       if (candle.low <= pendingLongBreakout.pullbackEntryPrice &&
         candle.close < pendingLongBreakout.pullbackEntryPrice) {
         if (isEntryTimeAllowed(candle.timestamp_readable_IST, config)) {
-          // Place limit buy order at rounded closing price
-          const roundedClosePrice = applyPriceRounding(candle.close, config);
-          pendingLongEntryOrder = {
-            price: roundedClosePrice,
-            originalPrice: roundedClosePrice,
-            placedTime: formatTimestamp(candle.timestamp_readable_IST),
-            placedAtCandle: i,
-            priceUpdates: [],
-            breakoutInfo: pendingLongBreakout
-          };
+          // Wait for a confirming candlestick pattern when required
+          const pullbackPatterns = patternSettings.enabled ? findPatternsAround(dayData, i, patternSettings) : [];
+          const patternConfirmation = isEntryConfirmed("long",
+            [...pendingLongBreakout.patternDetails.breakout, ...pullbackPatterns], patternSettings);
+
+          if (patternConfirmation.confirmed) {
+            // Place limit buy order at rounded closing price
+            const roundedClosePrice = applyPriceRounding(candle.close, config);
+            pendingLongEntryOrder = {
+              price: roundedClosePrice,
+              originalPrice: roundedClosePrice,
+              placedTime: formatTimestamp(candle.timestamp_readable_IST),
+              placedAtCandle: i,
+              priceUpdates: [],
+              breakoutInfo: {
+                ...pendingLongBreakout,
+                patternDetails: {
+                  ...pendingLongBreakout.patternDetails,
+                  pullback: pullbackPatterns,
+                  confirmingPattern: patternConfirmation.confirmingPattern
+                }
+              }
+            };
+          } else {
+            pendingLongBreakout.awaitingPatternConfirmation = true;
+          }
         } else {
           // Pullback hit but entry time not allowed - reject this breakout
           pendingLongBreakout = null;
@@ -467,16 +621,32 @@ function analyzeTradingDay(date, dayData, config) {
       if (candle.high >= pendingShortBreakout.pullbackEntryPrice &&
         candle.close > pendingShortBreakout.pullbackEntryPrice) {
         if (isEntryTimeAllowed(candle.timestamp_readable_IST, config)) {
-          // Place limit sell order at rounded closing price
-          const roundedClosePrice = applyPriceRounding(candle.close, config);
-          pendingShortEntryOrder = {
-            price: roundedClosePrice,
-            originalPrice: roundedClosePrice,
-            placedTime: formatTimestamp(candle.timestamp_readable_IST),
-            placedAtCandle: i,
-            priceUpdates: [],
-            breakoutInfo: pendingShortBreakout
-          };
+          // Wait for a confirming candlestick pattern when required
+          const pullbackPatterns = patternSettings.enabled ? findPatternsAround(dayData, i, patternSettings) : [];
+          const patternConfirmation = isEntryConfirmed("short",
+            [...pendingShortBreakout.patternDetails.breakout, ...pullbackPatterns], patternSettings);
+
+          if (patternConfirmation.confirmed) {
+            // Place limit sell order at rounded closing price
+            const roundedClosePrice = applyPriceRounding(candle.close, config);
+            pendingShortEntryOrder = {
+              price: roundedClosePrice,
+              originalPrice: roundedClosePrice,
+              placedTime: formatTimestamp(candle.timestamp_readable_IST),
+              placedAtCandle: i,
+              priceUpdates: [],
+              breakoutInfo: {
+                ...pendingShortBreakout,
+                patternDetails: {
+                  ...pendingShortBreakout.patternDetails,
+                  pullback: pullbackPatterns,
+                  confirmingPattern: patternConfirmation.confirmingPattern
+                }
+              }
+            };
+          } else {
+            pendingShortBreakout.awaitingPatternConfirmation = true;
+          }
         } else {
           // Pullback hit but entry time not allowed - reject this breakout
           pendingShortBreakout = null;
@@ -493,7 +663,7 @@ function analyzeTradingDay(date, dayData, config) {
         pendingLongBreakout = null;
       } else {
         // Check if current candle fills the existing limit buy order
-        if (candle.low <= pendingLongEntryOrder.price) {
+        if (isLimitOrderFilled("buy", pendingLongEntryOrder.price, candle, config)) {
           // Order filled - create the trade
           longEntry = {
             type: "long",
@@ -503,7 +673,8 @@ function analyzeTradingDay(date, dayData, config) {
             },
             target: pendingLongEntryOrder.breakoutInfo.target,
             stopLoss: pendingLongEntryOrder.breakoutInfo.stopLoss,
-            patterns: [...patterns],
+            patterns: listPatternNames(pendingLongEntryOrder.breakoutInfo.patternDetails),
+            patternDetails: pendingLongEntryOrder.breakoutInfo.patternDetails,
             volumeInfo: pendingLongEntryOrder.breakoutInfo.volumeInfo,
             breakoutDetails: {
               ...pendingLongEntryOrder.breakoutInfo.breakoutDetails,
@@ -558,7 +729,7 @@ function analyzeTradingDay(date, dayData, config) {
         pendingShortBreakout = null;
       } else {
         // Check if current candle fills the existing limit sell order
-        if (candle.high >= pendingShortEntryOrder.price) {
+        if (isLimitOrderFilled("sell", pendingShortEntryOrder.price, candle, config)) {
           // Order filled - create the trade
           shortEntry = {
             type: "short",
@@ -568,7 +739,8 @@ function analyzeTradingDay(date, dayData, config) {
             },
             target: pendingShortEntryOrder.breakoutInfo.target,
             stopLoss: pendingShortEntryOrder.breakoutInfo.stopLoss,
-            patterns: [...patterns],
+            patterns: listPatternNames(pendingShortEntryOrder.breakoutInfo.patternDetails),
+            patternDetails: pendingShortEntryOrder.breakoutInfo.patternDetails,
             volumeInfo: pendingShortEntryOrder.breakoutInfo.volumeInfo,
             breakoutDetails: {
               ...pendingShortEntryOrder.breakoutInfo.breakoutDetails,
@@ -614,132 +786,86 @@ function analyzeTradingDay(date, dayData, config) {
       }
     }
 
-    // Check for new high (must be STRICTLY higher than previous high) - USING BODY HIGH
-    if (currentBodyHigh > previousHighPrice + 0.05) { // Using a small threshold to account for precision issues
-      const timeDiff = calculateTimeDiffInMinutes(candle.timestamp_readable_IST, previousHighTime);
-
-      if (isTimeThresholdMet(timeDiff, config) && !pendingLongBreakout && !longEntry) {
-        // We have a valid high breakout with time difference within the allowed range
-        const volumeConfirmation = isVolumeConfirmationMet(dayData, i, config);
-
-        if (volumeConfirmation.passed) {
-          // Calculate target and stop loss for long entry with price rounding
-          const breakoutPrice = applyPriceRounding(previousHighPrice, config);
-          const stopLoss = applyPriceRounding(lowestSinceLastHigh, config);
-
-          // NEW: Check minimum stop loss percentage requirement
-          const minimumStopLossValidation = isMinimumStopLossPercentMet(breakoutPrice, stopLoss, config);
-
-          if (minimumStopLossValidation.passed) {
-            const risk = breakoutPrice - stopLoss;
-            const target = applyPriceRounding(breakoutPrice + (risk * config.riskRewardRatio), config);
-
-            // Calculate pullback entry price with rounding
-            const pullbackAmount = risk * (config.pullbackPercentage / 100);
-            const pullbackEntryPrice = applyPriceRounding(breakoutPrice - pullbackAmount, config);
-
-            pendingLongBreakout = {
-              type: "long",
-              breakoutPrice: breakoutPrice,
-              pullbackEntryPrice: pullbackEntryPrice,
-              target: target,
-              stopLoss: stopLoss,
-              patterns: [...patterns],
-              volumeInfo: {
-                breakoutCandleVolume: candle.volume,
-                confirmationCandleVolume: dayData[i - 1].volume,
-                averageLookbackVolume: volumeConfirmation.data ? volumeConfirmation.data.averageVolume : null,
-                volumeConfirmationEnabled: config.volumeConfirmation.enabled,
-                volumeConfirmationPassed: volumeConfirmation.passed,
-                volumeConfirmationReason: volumeConfirmation.reason
-              },
-              breakoutDetails: {
-                breakoutTime: formatTimestamp(candle.timestamp_readable_IST),
-                breakoutPrice: breakoutPrice,
-                previousExtremeTime: formatTimestamp(previousHighTime),
-                timeSincePreviousExtreme: timeDiff,
-                previousExtremeType: "high",
-                minThresholdRequired: config.minThreshold,
-                maxThresholdRequired: config.maxThreshold,
-                stopLossValue: stopLoss,
-                stopLossTime: formatTimestamp(lowestSinceLastHighTime),
-                swingLow: lowestSinceLastHigh,
-                swingHigh: previousHighPrice,
-                volumeConfirmation: volumeConfirmation,
-                minimumStopLossValidation: minimumStopLossValidation,
-                pullbackEntryPrice: pullbackEntryPrice,
-                pullbackAmount: pullbackAmount,
-                useBodyPricesOnly: true // Indicate that we're avoiding wicks
-              }
-            };
-          } else {
-            // Stop loss too tight - record this rejection
-            return {
-              date,
-              message: `Breakout detected but stop loss too tight (${minimumStopLossValidation.data.actualStopLossPercent.toFixed(2)}% < ${config.minimumStopLossPercent}%)`,
-              breakoutDetected: true,
-              breakoutType: "long",
-              breakoutTime: formatTimestamp(candle.timestamp_readable_IST),
-              breakoutPrice: breakoutPrice,
-              volumeRejection: false,
-              volumeData: null,
-              minimumStopLossRejection: true,
-              minimumStopLossData: minimumStopLossValidation.data,
-              useBodyPricesOnly: true
-            };
-          }
-        }
-      }
-
-      // Record invalid breakouts for reporting if no valid trades found
-      if (!isTimeThresholdMet(timeDiff, config)) {
-        invalidBreakouts.push({
-          type: "long",
-          breakoutTime: formatTimestamp(candle.timestamp_readable_IST),
-          breakoutPrice: applyPriceRounding(previousHighPrice, config),
-          timeGap: timeDiff,
-          requiredTimeRange: `${config.minThreshold}-${config.maxThreshold}`
-        });
+    // In multi-trade mode, stop scanning at the first fill so the trade can be simulated
+    // and detection can resume from its exit candle (both sides when positions run simultaneously)
+    if ((config.maxTradesPerDay || 1) > 1) {
+      const entriesComplete = config.simultaneousPositions?.enabled ?
+        (longEntry && shortEntry) :
+        (longEntry || shortEntry);
+      if (entriesComplete) {
+        break;
       }
-
-      // Update previous high and reset lowest since last high - USING BODY PRICES
-      previousHighPrice = currentBodyHigh;
-      previousHighTime = candle.timestamp_readable_IST;
-      lowestSinceLastHigh = currentBodyLow;
-      lowestSinceLastHighTime = candle.timestamp_readable_IST;
     }
 
-    // Check for new low (must be STRICTLY lower than previous low) - USING BODY LOW
-    if (currentBodyLow < previousLowPrice - 0.05) { // Using a small threshold to account for precision issues
-      const timeDiff = calculateTimeDiffInMinutes(candle.timestamp_readable_IST, previousLowTime);
+    // Check for breakouts reported by the configured detector
+    const breakoutSignals = detector.detect(detectorState, dayData, i, config);
+
+    for (const signal of breakoutSignals) {
+      const isLong = signal.type === "long";
+      const sidePending = isLong ? pendingLongBreakout : pendingShortBreakout;
+      const sideEntry = isLong ? longEntry : shortEntry;
+
+      if (signal.valid && !sidePending && !sideEntry) {
+        const gapClassCheck = isGapClassAllowed(signal.type, gapClass, config);
+        if (!gapClassCheck.allowed) {
+          gapClassRejectedBreakouts.push({
+            type: signal.type,
+            breakoutTime: formatTimestamp(candle.timestamp_readable_IST),
+            breakoutPrice: applyPriceRounding(signal.breakoutPrice, config),
+            gapClass: gapClass,
+            reason: gapClassCheck.reason
+          });
+          continue;
+        }
 
-      if (isTimeThresholdMet(timeDiff, config) && !pendingShortBreakout && !shortEntry) {
-        // We have a valid low breakout with time difference within the allowed range
+        // We have a valid breakout for this side
         const volumeConfirmation = isVolumeConfirmationMet(dayData, i, config);
+        const breakoutFilter = evaluateBreakoutFilters(signal.type, dayIndicators && dayIndicators[i], config);
+
+        if (volumeConfirmation.passed && !breakoutFilter.passed) {
+          filteredBreakouts.push({
+            type: signal.type,
+            breakoutTime: formatTimestamp(candle.timestamp_readable_IST),
+            breakoutPrice: applyPriceRounding(signal.breakoutPrice, config),
+            failedRules: breakoutFilter.failedRules,
+            indicators: breakoutFilter.indicators
+          });
+        }
 
-        if (volumeConfirmation.passed) {
-          // Calculate target and stop loss for short entry with price rounding
-          const breakoutPrice = applyPriceRounding(previousLowPrice, config);
-          const stopLoss = applyPriceRounding(highestSinceLastLow, config);
+        if (volumeConfirmation.passed && breakoutFilter.passed) {
+          // Calculate target and stop loss with price rounding (the buffer pushes the stop beyond the swing)
+          const breakoutPrice = applyPriceRounding(signal.breakoutPrice, config);
+          const stopLossBuffer = calculateStopLossBuffer(signal.stopLossPrice, dayData, i, anchorSettings, tickSize);
+          const stopLoss = applyPriceRounding(isLong ?
+            signal.stopLossPrice - stopLossBuffer :
+            signal.stopLossPrice + stopLossBuffer, config);
 
           // NEW: Check minimum stop loss percentage requirement
           const minimumStopLossValidation = isMinimumStopLossPercentMet(breakoutPrice, stopLoss, config);
 
           if (minimumStopLossValidation.passed) {
-            const risk = stopLoss - breakoutPrice;
-            const target = applyPriceRounding(breakoutPrice - (risk * config.riskRewardRatio), config);
+            const risk = isLong ? breakoutPrice - stopLoss : stopLoss - breakoutPrice;
+            const target = applyPriceRounding(isLong ?
+              breakoutPrice + (risk * config.riskRewardRatio) :
+              breakoutPrice - (risk * config.riskRewardRatio), config);
 
             // Calculate pullback entry price with rounding
             const pullbackAmount = risk * (config.pullbackPercentage / 100);
-            const pullbackEntryPrice = applyPriceRounding(breakoutPrice + pullbackAmount, config);
+            const pullbackEntryPrice = applyPriceRounding(isLong ?
+              breakoutPrice - pullbackAmount :
+              breakoutPrice + pullbackAmount, config);
 
-            pendingShortBreakout = {
-              type: "short",
+            const pendingBreakout = {
+              type: signal.type,
               breakoutPrice: breakoutPrice,
               pullbackEntryPrice: pullbackEntryPrice,
               target: target,
               stopLoss: stopLoss,
-              patterns: [...patterns],
+              patternDetails: {
+                breakout: patternSettings.enabled ? findPatternsAround(dayData, i, patternSettings) : [],
+                pullback: [],
+                confirmingPattern: null
+              },
               volumeInfo: {
                 breakoutCandleVolume: candle.volume,
                 confirmationCandleVolume: dayData[i - 1].volume,
@@ -749,66 +875,117 @@ function analyzeTradingDay(date, dayData, config) {
                 volumeConfirmationReason: volumeConfirmation.reason
               },
               breakoutDetails: {
+                detector: detector.name, // Breakout detector that reported this breakout
                 breakoutTime: formatTimestamp(candle.timestamp_readable_IST),
                 breakoutPrice: breakoutPrice,
-                previousExtremeTime: formatTimestamp(previousLowTime),
-                timeSincePreviousExtreme: timeDiff,
-                previousExtremeType: "low",
-                minThresholdRequired: config.minThreshold,
-                maxThresholdRequired: config.maxThreshold,
+                previousExtremeTime: formatTimestamp(signal.previousExtremeTime),
+                timeSincePreviousExtreme: signal.timeSincePreviousExtreme,
+                previousExtremeType: signal.previousExtremeType,
+                ...signal.details, // Detector-specific fields (thresholds or opening range)
                 stopLossValue: stopLoss,
-                stopLossTime: formatTimestamp(highestSinceLastLowTime),
-                swingLow: previousLowPrice,
-                swingHigh: highestSinceLastLow,
+                stopLossTime: formatTimestamp(signal.stopLossTime),
+                swingLow: signal.swingLow,
+                swingHigh: signal.swingHigh,
                 volumeConfirmation: volumeConfirmation,
                 minimumStopLossValidation: minimumStopLossValidation,
                 pullbackEntryPrice: pullbackEntryPrice,
                 pullbackAmount: pullbackAmount,
-                useBodyPricesOnly: true // Indicate that we're avoiding wicks
+                indicators: breakoutFilter.indicators, // Indicator values at the breakout candle (when filters are enabled)
+                useBodyPricesOnly: useBodyPricesOnly, // Indicate whether we're avoiding wicks
+                stopLossAnchor: {
+                  swingPrices: anchorSettings.swingPrices,
+                  bufferType: anchorSettings.bufferType,
+                  bufferPoints: stopLossBuffer
+                }
               }
             };
+
+            if (isLong) {
+              pendingLongBreakout = pendingBreakout;
+            } else {
+              pendingShortBreakout = pendingBreakout;
+            }
           } else {
             // Stop loss too tight - record this rejection
             return {
               date,
               message: `Breakout detected but stop loss too tight (${minimumStopLossValidation.data.actualStopLossPercent.toFixed(2)}% < ${config.minimumStopLossPercent}%)`,
               breakoutDetected: true,
-              breakoutType: "short",
+              breakoutType: signal.type,
               breakoutTime: formatTimestamp(candle.timestamp_readable_IST),
               breakoutPrice: breakoutPrice,
               volumeRejection: false,
               volumeData: null,
               minimumStopLossRejection: true,
               minimumStopLossData: minimumStopLossValidation.data,
-              useBodyPricesOnly: true
+              useBodyPricesOnly: useBodyPricesOnly
             };
           }
         }
       }
 
       // Record invalid breakouts for reporting if no valid trades found
-      if (!isTimeThresholdMet(timeDiff, config)) {
+      if (!signal.valid) {
         invalidBreakouts.push({
-          type: "short",
+          type: signal.type,
           breakoutTime: formatTimestamp(candle.timestamp_readable_IST),
-          breakoutPrice: applyPriceRounding(previousLowPrice, config),
-          timeGap: timeDiff,
+          breakoutPrice: applyPriceRounding(signal.breakoutPrice, config),
+          timeGap: signal.timeSincePreviousExtreme,
           requiredTimeRange: `${config.minThreshold}-${config.maxThreshold}`
         });
       }
-
-      // Update previous low and reset highest since last low - USING BODY PRICES
-      previousLowPrice = currentBodyLow;
-      previousLowTime = candle.timestamp_readable_IST;
-      highestSinceLastLow = currentBodyHigh;
-      highestSinceLastLowTime = candle.timestamp_readable_IST;
     }
   }
 
   // If we have a long or short entry, simulate the trade and return results
   if (longEntry || shortEntry) {
-    const entry = longEntry || shortEntry;
-    return simulateTrade(date, entry, dayData, config.capital, config);
+    // Detection may run on resampled bars while fills are simulated on the underlying 1-minute candles
+    let executionData = dayData;
+    if (config.timeframe?.fillsOnBaseCandles && dayData[0].sourceCandles) {
+      executionData = getBaseCandles(dayData);
+      longEntry = longEntry && refineEntryOnBaseCandles(longEntry, dayData, config);
+      shortEntry = shortEntry && refineEntryOnBaseCandles(shortEntry, dayData, config);
+    }
+
+    let tradeResult;
+    if (config.simultaneousPositions?.enabled) {
+      tradeResult = longEntry && shortEntry ?
+        simulateSimultaneousPositions(date, longEntry, shortEntry, executionData, config) :
+        simulateTrade(date, longEntry || shortEntry, executionData, getPositionCapitalSlice(config), config);
+    } else {
+      const entry = longEntry || shortEntry;
+      tradeResult = simulateTrade(date, entry, executionData, config.capital, config);
+    }
+
+    // Keep the setups invalidated earlier in the day with the trade that was taken
+    if (targetReachedBeforePullback.length > 0) {
+      [].concat(tradeResult)[0].targetReachedBeforePullbackSetups = targetReachedBeforePullback;
+    }
+    return tradeResult;
+  }
+
+  // Check if a breakout was invalidated because target was reached before the pullback entry
+  if (targetReachedBeforePullback.length > 0) {
+    const firstCase = targetReachedBeforePullback[0];
+    return {
+      date,
+      message: `Breakout target reached before pullback (${firstCase.breakoutType})`,
+      breakoutDetected: true,
+      targetReachedBeforePullback: true,
+      breakoutType: firstCase.breakoutType,
+      breakoutTime: firstCase.breakoutTime,
+      breakoutPrice: firstCase.breakoutPrice,
+      requiredPullbackPrice: firstCase.requiredPullbackPrice,
+      target: firstCase.target,
+      targetReachedTime: firstCase.targetReachedTime,
+      targetReachedPrice: firstCase.targetReachedPrice,
+      targetReachedBeforePullbackData: targetReachedBeforePullback,
+      volumeRejection: false,
+      volumeData: null,
+      minimumStopLossRejection: false,
+      minimumStopLossData: null,
+      useBodyPricesOnly: useBodyPricesOnly // Indicate whether we're avoiding wicks
+    };
   }
 
   // Check if we have a breakout but no pullback entry
@@ -816,8 +993,11 @@ function analyzeTradingDay(date, dayData, config) {
     const pendingBreakout = pendingLongBreakout || pendingShortBreakout;
     return {
       date,
-      message: `Breakout detected but no pullback entry (${pendingBreakout.type})`,
+      message: pendingBreakout.awaitingPatternConfirmation ?
+        `Breakout detected but entry not confirmed by candlestick pattern (${pendingBreakout.type})` :
+        `Breakout detected but no pullback entry (${pendingBreakout.type})`,
       breakoutDetected: true,
+      patternConfirmationMissing: pendingBreakout.awaitingPatternConfirmation || false,
       breakoutType: pendingBreakout.type,
       breakoutTime: pendingBreakout.breakoutDetails.breakoutTime,
       breakoutPrice: pendingBreakout.breakoutPrice,
@@ -826,7 +1006,7 @@ function analyzeTradingDay(date, dayData, config) {
       volumeData: null,
       minimumStopLossRejection: false,
       minimumStopLossData: null,
-      useBodyPricesOnly: true // Indicate that we're avoiding wicks
+      useBodyPricesOnly: useBodyPricesOnly // Indicate whether we're avoiding wicks
     };
   }
 
@@ -850,7 +1030,45 @@ function analyzeTradingDay(date, dayData, config) {
       volumeData: null,
       minimumStopLossRejection: false,
       minimumStopLossData: null,
-      useBodyPricesOnly: true // Indicate that we're avoiding wicks
+      useBodyPricesOnly: useBodyPricesOnly // Indicate whether we're avoiding wicks
+    };
+  }
+
+  // Report breakouts that met the time threshold but were rejected by the indicator filters
+  if (filteredBreakouts.length > 0) {
+    const firstFilteredBreakout = filteredBreakouts[0];
+    return {
+      date,
+      message: `Breakout rejected by indicator filters (${firstFilteredBreakout.type}: ${firstFilteredBreakout.failedRules.join(', ')})`,
+      indicatorFilterRejection: true,
+      breakoutType: firstFilteredBreakout.type,
+      breakoutTime: firstFilteredBreakout.breakoutTime,
+      breakoutPrice: firstFilteredBreakout.breakoutPrice,
+      indicatorFilterData: filteredBreakouts,
+      volumeRejection: false,
+      volumeData: null,
+      minimumStopLossRejection: false,
+      minimumStopLossData: null,
+      useBodyPricesOnly: useBodyPricesOnly // Indicate whether we're avoiding wicks
+    };
+  }
+
+  // Report breakouts on sides the day's gap class does not allow
+  if (gapClassRejectedBreakouts.length > 0) {
+    const firstGapClassRejection = gapClassRejectedBreakouts[0];
+    return {
+      date,
+      message: `Breakout rejected by gap class filter (${firstGapClassRejection.reason})`,
+      gapClassRejection: true,
+      breakoutType: firstGapClassRejection.type,
+      breakoutTime: firstGapClassRejection.breakoutTime,
+      breakoutPrice: firstGapClassRejection.breakoutPrice,
+      gapClassRejectionData: gapClassRejectedBreakouts,
+      volumeRejection: false,
+      volumeData: null,
+      minimumStopLossRejection: false,
+      minimumStopLossData: null,
+      useBodyPricesOnly: useBodyPricesOnly // Indicate whether we're avoiding wicks
     };
   }
 
@@ -870,7 +1088,7 @@ function analyzeTradingDay(date, dayData, config) {
       volumeData: null,
       minimumStopLossRejection: false,
       minimumStopLossData: null,
-      useBodyPricesOnly: true // Indicate that we're avoiding wicks
+      useBodyPricesOnly: useBodyPricesOnly // Indicate whether we're avoiding wicks
     };
   }
 
@@ -882,10 +1100,199 @@ function analyzeTradingDay(date, dayData, config) {
     volumeData: null,
     minimumStopLossRejection: false,
     minimumStopLossData: null,
-    useBodyPricesOnly: true // Indicate that we're avoiding wicks
+    useBodyPricesOnly: useBodyPricesOnly // Indicate whether we're avoiding wicks
+  };
+}
+
+/**
+ * Move an entry filled on a resampled bar to the first 1-minute candle inside that bar that fills the order
+ * @param {Object} entry - Long or short entry object from analyzeTradingDay
+ * @param {Array} bars - Resampled bars for the day (with sourceCandles)
+ * @param {Object} config - Configuration object
+ * @returns {Object} - Entry with its fill time taken from the base candles
+ */
+function refineEntryOnBaseCandles(entry, bars, config) {
+  const fillBar = bars.find(bar => formatTimestamp(bar.timestamp_readable_IST) === entry.entry.time);
+  if (!fillBar) {
+    return entry;
+  }
+
+  const side = entry.type === "long" ? "buy" : "sell";
+  const fillCandle = fillBar.sourceCandles.find(candle => isLimitOrderFilled(side, entry.entry.price, candle, config));
+  if (!fillCandle) {
+    return entry;
+  }
+
+  const fillTime = formatTimestamp(fillCandle.timestamp_readable_IST);
+  return {
+    ...entry,
+    entry: { ...entry.entry, time: fillTime },
+    breakoutDetails: {
+      ...entry.breakoutDetails,
+      actualEntryTime: fillTime,
+      detectionBarTime: entry.entry.time
+    }
+  };
+}
+
+/**
+ * Analyze a trading day allowing up to config.maxTradesPerDay trades.
+ * After each trade closes, breakout detection restarts from the exit candle.
+ * Session-relative times are resolved for the date and candles are resampled to config.timeframe first.
+ * Days outside the gap filter are skipped, and every result is tagged with the day's gap class.
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Array} dayData - Candle data for the day
+ * @param {Object} config - Configuration object
+ * @param {Object|null} dayContext - Prior-day levels from buildDayContexts (default null)
+ * @returns {Array} - Trade results for the day, followed by the non-trade outcome of the scan that found no further trade
+ */
+function analyzeTradingDayTrades(date, dayData, config, dayContext = null) {
+  const gapClassification = classifyGap(dayContext, config);
+  return analyzeGapFilteredDay(date, dayData, config, dayContext).map(result => ({ ...result, gapClassification }));
+}
+
+/**
+ * Run the day's trades once the gap filter has passed (see analyzeTradingDayTrades)
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Array} dayData - Candle data for the day
+ * @param {Object} config - Configuration object
+ * @param {Object|null} dayContext - Prior-day levels from buildDayContexts
+ * @returns {Array} - Trade results for the day, followed by the non-trade outcome of the scan that found no further trade
+ */
+function analyzeGapFilteredDay(date, dayData, config, dayContext) {
+  const gapCheck = checkGapFilter(dayContext, config);
+  if (!gapCheck.passed) {
+    return [createGapFilterSkipRecord(date, gapCheck)];
+  }
+
+  config = resolveSessionTimes(config, getSession(date, config));
+  dayData = resampleForConfig(dayData, config);
+
+  const maxTradesPerDay = config.maxTradesPerDay || 1;
+  if (maxTradesPerDay <= 1) {
+    return [].concat(analyzeTradingDay(date, dayData, config, 0, dayContext));
+  }
+
+  const dayResults = [];
+  let startIndex = 0;
+
+  while (dayResults.length < maxTradesPerDay && dayData && startIndex < dayData.length - 1) {
+    const results = [].concat(analyzeTradingDay(date, dayData, config, startIndex, dayContext));
+    const trades = results.filter(result => result.profit !== undefined || result.netProfit !== undefined);
+
+    if (trades.length === 0) {
+      // Keep the outcome of the scan that ended the day (rejections and skipped setups after an
+      // earlier trade still count), tagged with the trade it followed
+      const tradesTaken = dayResults.length;
+      dayResults.push(...results.map(result => (tradesTaken > 0 ? { ...result, afterTradeNumber: tradesTaken } : result)));
+      break;
+    }
+
+    for (const trade of trades) {
+      trade.tradeNumber = dayResults.length + 1;
+      dayResults.push(trade);
+    }
+
+    // Resume detection from the last exit candle (the bar containing the exit when fills run on base candles)
+    const exitIndex = Math.max(...trades.map(trade =>
+      dayData.findLastIndex(candle => formatTimestamp(getCandleStartTimestamp(candle)) <= trade.exit.time)
+    ));
+    if (exitIndex === -1 || exitIndex <= startIndex) {
+      break;
+    }
+    startIndex = exitIndex;
+
+    // Stop for the day once the account's maximum daily loss is reached, recording the trade it blocks
+    const dailyLossCheck = checkDailyLoss(dayResults, config);
+    if (dailyLossCheck.blocked) {
+      if (dayResults.length < maxTradesPerDay && startIndex < dayData.length - 1) {
+        [].concat(analyzeTradingDay(date, dayData, config, startIndex, dayContext))
+          .filter(result => result.profit !== undefined || result.netProfit !== undefined)
+          .forEach(trade => dayResults.push(createAccountRiskSkipRecord(date, trade, dailyLossCheck)));
+      }
+      break;
+    }
+  }
+
+  if (dayResults.length === 0) {
+    dayResults.push(analyzeTradingDay(date, dayData, config, 0, dayContext));
+  }
+
+  return dayResults;
+}
+
+/**
+ * Get the capital slice allocated to one side when long and short positions run simultaneously
+ * @param {Object} config - Configuration object with capital and simultaneousPositions settings
+ * @returns {Object} - Capital configuration for a single position
+ */
+function getPositionCapitalSlice(config) {
+  const capitalSplitPercent = config.simultaneousPositions?.capitalSplitPercent ?? 50;
+  return {
+    ...config.capital,
+    utilizationPercent: (config.capital.utilizationPercent * capitalSplitPercent) / 100
+  };
+}
+
+/**
+ * Simulate long and short entries of the same day as independent positions
+ * @param {string} date - The date of the trades
+ * @param {Object} longEntry - The long trade entry object
+ * @param {Object} shortEntry - The short trade entry object
+ * @param {Array} dayData - The candle data for the day
+ * @param {Object} config - Configuration object
+ * @returns {Array} - Both trade results, ordered by fill time
+ */
+function simulateSimultaneousPositions(date, longEntry, shortEntry, dayData, config) {
+  const positionCapital = getPositionCapitalSlice(config);
+  const longResult = simulateTrade(date, longEntry, dayData, positionCapital, config);
+  const shortResult = simulateTrade(date, shortEntry, dayData, positionCapital, config);
+
+  // Timestamps are formatted as YYYY-MM-DD HH:MM so they compare chronologically as strings
+  let firstFilledSide = "both";
+  if (longEntry.entry.time < shortEntry.entry.time) {
+    firstFilledSide = "long";
+  } else if (shortEntry.entry.time < longEntry.entry.time) {
+    firstFilledSide = "short";
+  }
+
+  const [firstResult, secondResult] = firstFilledSide === "short" ?
+    [shortResult, longResult] :
+    [longResult, shortResult];
+
+  // Positions overlap when the second entry fills before the first position has exited
+  const overlapped = !firstResult.exit || !secondResult.entry ?
+    false :
+    secondResult.entry.time <= firstResult.exit.time;
+  const overlapMinutes = overlapped ?
+    calculateTimeDiffInMinutes(
+      secondResult.entry.time,
+      firstResult.exit.time < secondResult.exit.time ? firstResult.exit.time : secondResult.exit.time
+    ) : 0;
+
+  const simultaneousDetails = {
+    enabled: true,
+    capitalSplitPercent: config.simultaneousPositions?.capitalSplitPercent ?? 50,
+    firstFilledSide: firstFilledSide,
+    overlapped: overlapped,
+    overlapMinutes: overlapMinutes
   };
+
+  firstResult.simultaneousPositions = { ...simultaneousDetails, fillOrder: 1 };
+  secondResult.simultaneousPositions = { ...simultaneousDetails, fillOrder: 2 };
+
+  return [firstResult, secondResult];
 }
 
+/**
+ * Breach and exit reasons by the rule that set the active stop level
+ */
+const STOP_LOSS_SOURCES = {
+  initial: { breachReason: "stop_loss_breach", exitReason: "stop loss limit order filled" },
+  trailing: { breachReason: "trailing_stop_breach", exitReason: "trailing stop limit order filled" },
+  breakeven: { breachReason: "breakeven_stop_breach", exitReason: "breakeven stop limit order filled" }
+};
+
 /**
  * Simulate a trade execution with skip-one-candle limit order logic for both stop loss and target exits
  * @param {string} date - The date of the trade
@@ -893,9 +1300,12 @@ function analyzeTradingDay(date, dayData, config) {
  * @param {Array} dayData - The candle data for the day
  * @param {Object} capital - Capital configuration with initial amount and utilization percent
  * @param {Object} config - Configuration object with time-based restrictions and exit configs
+ * @param {Object|null} sharedEntry - Entry fill and charges of the whole position when simulating a scale-out leg
  * @returns {Object} - The trade result object
  */
-function simulateTrade(date, trade, dayData, capital, config) {
+function simulateTrade(date, trade, dayData, capital, config, sharedEntry = null) {
+  const plannedTrade = trade;
+
   // Find the starting index (entry time)
   const entryTimeStr = trade.entry.time;
   let entryIndex = dayData.findIndex(candle => formatTimestamp(candle.timestamp_readable_IST) === entryTimeStr);
@@ -918,17 +1328,65 @@ function simulateTrade(date, trade, dayData, capital, config) {
     };
   }
 
-  // Calculate how many shares we can buy with the available capital
-  const availableCapital = capital.initial * (capital.utilizationPercent / 100);
-  // Apply leverage
-  const leveragedCapital = availableCapital * (capital.leverage || 1);
-  // Only buy whole shares (no fractions)
-  const maxShares = Math.floor(leveragedCapital / trade.entry.price);
+  // Calculate how many shares to trade using the configured sizing mode (whole shares only,
+  // capped by leverage and margin limits)
+  let positionSize = calculatePositionSize({
+    type: trade.type,
+    entryPrice: trade.entry.price,
+    stopLoss: trade.stopLoss,
+    dayData: dayData,
+    entryIndex: entryIndex
+  }, capital, config);
+
+  // Apply the fill model to the entry order - the filled price is used for all P&L calculations
+  // (a scale-out leg reuses the single entry fill of the whole position)
+  const entrySide = trade.type === "long" ? "buy" : "sell";
+  let entryFill = sharedEntry ? sharedEntry.fill :
+    applyFillSlippage(trade.entry.price, entrySide, dayData[entryIndex], positionSize.shares, config);
+
+  // Slippage can push the position past the leverage or margin limit: re-cap at the filled price
+  // until the slipped position fits (fewer shares never slip more)
+  while (!sharedEntry && positionSize.shares > 0) {
+    const cappedAtFill = capPositionSize(positionSize, entryFill.price, capital, config);
+    if (cappedAtFill.shares >= positionSize.shares) {
+      break;
+    }
+    positionSize = cappedAtFill;
+    entryFill = applyFillSlippage(trade.entry.price, entrySide, dayData[entryIndex], positionSize.shares, config);
+  }
+  const maxShares = positionSize.shares;
+
+  if (maxShares <= 0) {
+    return {
+      date,
+      message: `Position size is zero (${positionSize.mode}${positionSize.cappedBy ? `, capped by ${positionSize.cappedBy}` : ''})`,
+      positionSizeRejection: true,
+      positionSizing: positionSize,
+      volumeRejection: false,
+      volumeData: null
+    };
+  }
+
+  trade = { ...trade, entry: { ...trade.entry, price: entryFill.price } };
+
   const investedAmount = maxShares * trade.entry.price;
 
-  // Calculate entry brokerage fee
-  const brokerageFeePercent = capital.brokerageFeePercent || 0;
-  const entryBrokerageFee = (investedAmount * brokerageFeePercent) / 100;
+  // Calculate itemised entry charges from the cost model - a scale-out leg carries no entry
+  // charges, the single entry order is charged once on the whole position
+  const costModel = getCostModel(config, capital);
+  const entryCharges = sharedEntry ?
+    sumCharges([]) :
+    calculateOrderCharges(investedAmount, trade.type === "long" ? "buy" : "sell", costModel);
+  const entryBrokerageFee = entryCharges.total;
+
+  // Split the position into scale-out legs, each simulated with its own target and exit orders
+  if (config.scaleOut?.enabled) {
+    return simulateScaleOutTrade(date, plannedTrade, dayData, capital, config, positionSize, {
+      fill: entryFill,
+      charges: entryCharges,
+      shares: maxShares
+    });
+  }
 
   // Calculate risk in points
   const riskPoints = trade.type === "long" ?
@@ -959,6 +1417,42 @@ function simulateTrade(date, trade, dayData, capital, config) {
     skipOneCandleLogic: true
   };
 
+  // Initialize trailing stop tracking - the stop is re-evaluated on each completed candle
+  // and only moves in the trade's favour
+  const trailingStop = createTrailingStopState(trade, entryIndex, config);
+  let currentStopLoss = trade.stopLoss;
+  let stopLossSource = "initial";
+  stopLossExitDetails.trailingStop = {
+    enabled: trailingStop.settings.enabled,
+    mode: trailingStop.settings.mode,
+    initialStopLoss: trade.stopLoss,
+    activationDistance: trailingStop.activationDistance,
+    activated: false,
+    activationTime: null,
+    finalStopLoss: trade.stopLoss,
+    totalStopMoves: 0,
+    stopHistory: []
+  };
+
+  // Initialize breakeven stop tracking - the stop moves to entry plus a buffer once MFE reaches the trigger
+  const breakevenSettings = getBreakevenStopSettings(config);
+  const exitChargesEstimate = calculateOrderCharges(investedAmount, trade.type === "long" ? "sell" : "buy", costModel);
+  const entryFeesPerShare = sharedEntry ? sharedEntry.charges.total / sharedEntry.shares : entryBrokerageFee / maxShares;
+  const feesPerShare = entryFeesPerShare + exitChargesEstimate.total / maxShares;
+  let breakevenStopDetails = {
+    enabled: breakevenSettings.enabled,
+    triggerAmount: getBreakevenTrigger(breakevenSettings, riskPoints, maxShares),
+    stopLevel: applyPriceRounding(getBreakevenStopLevel(trade, breakevenSettings, feesPerShare), config),
+    feesPerShare: feesPerShare,
+    triggered: false,
+    triggerTime: null,
+    triggerCandleIndex: null,
+    maxFavorableExcursionAtTrigger: null,
+    exitedAtBreakeven: false,
+    counterfactual: null,
+    outcome: null
+  };
+
   // Initialize target exit tracking with skip-one-candle logic
   const targetConfig = config.targetExitConfig || { enabled: true };
   let targetHit = false;
@@ -1003,6 +1497,31 @@ function simulateTrade(date, trade, dayData, capital, config) {
     skipOneCandleLogic: true
   };
 
+  // Initialize time-based exit tracking (no progress, max holding time and target tightening)
+  const timeExitSettings = getTimeExitSettings(config);
+  const entryMinute = parseTimeToMinutes(dayData[entryIndex].timestamp_readable_IST);
+  let currentTarget = trade.target;
+  let timeExitOrder = null;
+  let timeExitDetails = {
+    enabled: timeExitSettings.noProgress.enabled || timeExitSettings.maxHolding.enabled || timeExitSettings.tightenTarget.enabled,
+    rule: null,
+    triggerTime: null,
+    triggerCandleIndex: null,
+    minutesInTrade: null,
+    orderPlaced: false,
+    originalLimitPrice: null,
+    finalLimitPrice: null,
+    orderFilled: false,
+    orderFillTime: null,
+    priceUpdateHistory: [],
+    totalPriceUpdates: 0,
+    targetTightened: false,
+    targetTightenedTime: null,
+    originalTarget: trade.target,
+    tightenedTarget: null,
+    skipOneCandleLogic: true
+  };
+
   // Track max favorable excursion
   let maxFavorableExcursion = 0;
   let exitPrice = null;
@@ -1013,6 +1532,52 @@ function simulateTrade(date, trade, dayData, capital, config) {
   for (let i = entryIndex + 1; i < dayData.length; i++) {
     const candle = dayData[i];
 
+    // Move the stop to breakeven once MFE up to the previous candle reaches the trigger
+    if (breakevenSettings.enabled && !breakevenStopDetails.triggered && !stopLossBreach &&
+      maxFavorableExcursion >= breakevenStopDetails.triggerAmount && maxFavorableExcursion > 0) {
+      breakevenStopDetails.triggered = true;
+      breakevenStopDetails.triggerTime = formatTimestamp(dayData[i - 1].timestamp_readable_IST);
+      breakevenStopDetails.triggerCandleIndex = i - 1;
+      breakevenStopDetails.maxFavorableExcursionAtTrigger = maxFavorableExcursion;
+
+      const improves = trade.type === "long" ?
+        breakevenStopDetails.stopLevel > currentStopLoss :
+        breakevenStopDetails.stopLevel < currentStopLoss;
+      if (improves) {
+        currentStopLoss = breakevenStopDetails.stopLevel;
+        stopLossSource = "breakeven";
+        trailingStop.stopLoss = currentStopLoss; // Trailing continues from the breakeven level
+      }
+    }
+
+    // Trail the stop using the previous completed candle (the entry candle itself is not used)
+    if (trailingStop.settings.enabled && !stopLossBreach && i - 1 > entryIndex) {
+      const previousStopLoss = currentStopLoss;
+      const update = updateTrailingStop(trailingStop, dayData, i - 1, price => applyPriceRounding(price, config));
+      currentStopLoss = update.stopLoss;
+      if (update.moved) {
+        stopLossSource = "trailing";
+      }
+
+      if (trailingStop.activated && !stopLossExitDetails.trailingStop.activated) {
+        stopLossExitDetails.trailingStop.activated = true;
+        stopLossExitDetails.trailingStop.activationTime = formatTimestamp(dayData[i - 1].timestamp_readable_IST);
+      }
+
+      stopLossExitDetails.trailingStop.stopHistory.push({
+        candleIndex: i - 1,
+        time: formatTimestamp(dayData[i - 1].timestamp_readable_IST),
+        stopLoss: currentStopLoss,
+        previousStopLoss: previousStopLoss,
+        candidate: update.candidate,
+        moved: update.moved,
+        trailing: trailingStop.activated
+      });
+      if (update.moved) {
+        stopLossExitDetails.trailingStop.totalStopMoves++;
+      }
+    }
+
     // Check if we should place pre-market exit limit order
     if (config.marketExitTime?.enabled && !preMarketExitOrder &&
       shouldPlacePreMarketExitOrder(candle.timestamp_readable_IST, config)) {
@@ -1043,11 +1608,11 @@ function simulateTrade(date, trade, dayData, capital, config) {
 
       // Check if current candle fills the existing limit order
       if (trade.type === "long") {
-        if (candle.high >= preMarketExitOrder.price) {
+        if (isLimitOrderFilled("sell", preMarketExitOrder.price, candle, config)) {
           orderFilled = true;
         }
       } else {
-        if (candle.low <= preMarketExitOrder.price) {
+        if (isLimitOrderFilled("buy", preMarketExitOrder.price, candle, config)) {
           orderFilled = true;
         }
       }
@@ -1098,6 +1663,78 @@ function simulateTrade(date, trade, dayData, capital, config) {
       }
     }
 
+    // Tighten the target once the configured time has passed (not while a target order is working)
+    const minuteOfDay = parseTimeToMinutes(candle.timestamp_readable_IST);
+    if (!activeTargetOrder && !timeExitDetails.targetTightened) {
+      const tightenedTarget = getTightenedTarget(timeExitSettings, trade, currentTarget, riskPoints, minuteOfDay);
+      if (tightenedTarget !== null) {
+        currentTarget = applyPriceRounding(tightenedTarget, config);
+        timeExitDetails.targetTightened = true;
+        timeExitDetails.targetTightenedTime = formatTimestamp(candle.timestamp_readable_IST);
+        timeExitDetails.tightenedTarget = currentTarget;
+      }
+    }
+
+    // Place a time exit limit order when a time rule fires and no other exit order is working
+    if (!timeExitOrder && !preMarketExitOrder && !activeStopLossOrder && !activeTargetOrder) {
+      const favourablePoints = Math.max(
+        maxFavorableExcursion / maxShares,
+        trade.type === "long" ? candle.high - trade.entry.price : trade.entry.price - candle.low
+      );
+      const rule = checkTimeExit(timeExitSettings, minuteOfDay - entryMinute, favourablePoints, riskPoints);
+
+      if (rule) {
+        const roundedClosePrice = applyPriceRounding(candle.close, config);
+        timeExitOrder = {
+          price: roundedClosePrice,
+          originalPrice: roundedClosePrice,
+          placedTime: formatTimestamp(candle.timestamp_readable_IST),
+          placedAtCandle: i,
+          type: trade.type === "long" ? "sell" : "buy"
+        };
+
+        timeExitDetails.rule = rule;
+        timeExitDetails.triggerTime = formatTimestamp(candle.timestamp_readable_IST);
+        timeExitDetails.triggerCandleIndex = i;
+        timeExitDetails.minutesInTrade = minuteOfDay - entryMinute;
+        timeExitDetails.orderPlaced = true;
+        timeExitDetails.originalLimitPrice = roundedClosePrice;
+      }
+    }
+
+    // Check if the time exit limit order should be updated or filled (with skip-one-candle logic)
+    if (timeExitOrder && i > timeExitOrder.placedAtCandle + 1) {
+      if (isLimitOrderFilled(timeExitOrder.type, timeExitOrder.price, candle, config)) {
+        exitPrice = timeExitOrder.price;
+        exitTime = formatTimestamp(candle.timestamp_readable_IST);
+        exitReason = TIME_EXIT_REASONS[timeExitDetails.rule];
+        stopLossExitDetails.finalExitPrice = exitPrice;
+        stopLossExitDetails.finalExitReason = exitReason;
+        targetExitDetails.finalExitPrice = exitPrice;
+        targetExitDetails.finalExitReason = exitReason;
+
+        timeExitDetails.orderFilled = true;
+        timeExitDetails.orderFillTime = exitTime;
+        timeExitDetails.finalLimitPrice = timeExitOrder.price;
+        break;
+      } else if (timeExitSettings.dynamicPriceAdjustment) {
+        const oldPrice = timeExitOrder.price;
+        const newPrice = applyPriceRounding(candle.close, config);
+
+        if (Math.abs(newPrice - oldPrice) >= 0.05) {
+          timeExitOrder.price = newPrice;
+          timeExitDetails.priceUpdateHistory.push({
+            candleIndex: i,
+            time: formatTimestamp(candle.timestamp_readable_IST),
+            oldPrice: oldPrice,
+            newPrice: newPrice,
+            reason: "dynamic_price_adjustment"
+          });
+          timeExitDetails.totalPriceUpdates++;
+        }
+      }
+    }
+
     // Check for forced market exit (fallback if pre-market exit order wasn't filled)
     if (shouldForceMarketExit(candle.timestamp_readable_IST, config)) {
       exitPrice = applyPriceRounding(candle.close, config);
@@ -1128,7 +1765,7 @@ function simulateTrade(date, trade, dayData, capital, config) {
       maxFavorableExcursion = Math.max(maxFavorableExcursion, currentPnL);
 
       // NEW: Check if target was hit with skip-one-candle limit order logic
-      if (targetConfig.enabled && !targetHit && !activeTargetOrder && candle.high >= trade.target) {
+      if (targetConfig.enabled && !targetHit && !activeTargetOrder && candle.high >= currentTarget) {
         targetHit = true;
         targetExitDetails.targetHit = true;
         targetExitDetails.hitCandleTime = formatTimestamp(candle.timestamp_readable_IST);
@@ -1158,10 +1795,10 @@ function simulateTrade(date, trade, dayData, capital, config) {
       // Check if target limit order should be filled or updated (skip one candle)
       if (activeTargetOrder && i > activeTargetOrder.placedAtCandle + 1) {
         // Check if price moved above our limit order
-        if (candle.high >= activeTargetOrder.price) {
+        if (isLimitOrderFilled("sell", activeTargetOrder.price, candle, config)) {
           exitPrice = activeTargetOrder.price;
           exitTime = formatTimestamp(candle.timestamp_readable_IST);
-          exitReason = "target limit order filled";
+          exitReason = timeExitDetails.targetTightened ? TIME_EXIT_REASONS.tightenTarget : "target limit order filled";
           stopLossExitDetails.finalExitPrice = exitPrice;
           stopLossExitDetails.finalExitReason = exitReason;
           targetExitDetails.finalExitPrice = exitPrice;
@@ -1214,7 +1851,7 @@ function simulateTrade(date, trade, dayData, capital, config) {
       // Stop loss logic with skip-one-candle logic
       if (stopLossConfig.enabled && !activeTargetOrder) { // Only check stop loss if target order not active
         // First, check if stop loss has been breached
-        if (!stopLossBreach && candle.low <= trade.stopLoss) {
+        if (!stopLossBreach && candle.low <= currentStopLoss) {
           stopLossBreach = true;
           stopLossExitDetails.stopLossBreached = true;
           stopLossExitDetails.breachCandleTime = formatTimestamp(candle.timestamp_readable_IST);
@@ -1237,17 +1874,17 @@ function simulateTrade(date, trade, dayData, capital, config) {
             price: roundedClosePrice,
             time: formatTimestamp(candle.timestamp_readable_IST),
             candleIndex: i,
-            reason: "stop_loss_breach"
+            reason: STOP_LOSS_SOURCES[stopLossSource].breachReason
           });
         }
 
         // If we have an active stop loss order, check if it should be filled or updated (skip one candle)
         if (activeStopLossOrder && i > activeStopLossOrder.placedAtCandle + 1) {
           // Check if price moved above our limit order (recovery)
-          if (candle.high >= activeStopLossOrder.price) {
+          if (isLimitOrderFilled("sell", activeStopLossOrder.price, candle, config)) {
             exitPrice = activeStopLossOrder.price;
             exitTime = formatTimestamp(candle.timestamp_readable_IST);
-            exitReason = "stop loss limit order filled";
+            exitReason = STOP_LOSS_SOURCES[stopLossSource].exitReason;
             stopLossExitDetails.finalExitPrice = exitPrice;
             stopLossExitDetails.finalExitReason = exitReason;
             stopLossExitDetails.finalLimitPrice = activeStopLossOrder.price;
@@ -1299,7 +1936,8 @@ function simulateTrade(date, trade, dayData, capital, config) {
 
         // Circuit breaker: Force market exit if loss exceeds maximum threshold
         if (stopLossConfig.forceMarketOrderAfterMax && stopLossConfig.maxLossPercent) {
-          const currentLoss = trade.entry.price - candle.low;
+          // Loss is measured from the active stop, so a moved stop tightens the circuit breaker too
+          const currentLoss = trade.entry.price - candle.low + (currentStopLoss - trade.stopLoss);
           const lossPercentage = (currentLoss / riskPoints) * 100;
 
           if (lossPercentage >= stopLossConfig.maxLossPercent) {
@@ -1321,7 +1959,7 @@ function simulateTrade(date, trade, dayData, capital, config) {
       maxFavorableExcursion = Math.max(maxFavorableExcursion, currentPnL);
 
       // NEW: Check if target was hit with skip-one-candle limit order logic
-      if (targetConfig.enabled && !targetHit && !activeTargetOrder && candle.low <= trade.target) {
+      if (targetConfig.enabled && !targetHit && !activeTargetOrder && candle.low <= currentTarget) {
         targetHit = true;
         targetExitDetails.targetHit = true;
         targetExitDetails.hitCandleTime = formatTimestamp(candle.timestamp_readable_IST);
@@ -1351,10 +1989,10 @@ function simulateTrade(date, trade, dayData, capital, config) {
       // Check if target limit order should be filled or updated (skip one candle)
       if (activeTargetOrder && i > activeTargetOrder.placedAtCandle + 1) {
         // Check if price moved below our limit order
-        if (candle.low <= activeTargetOrder.price) {
+        if (isLimitOrderFilled("buy", activeTargetOrder.price, candle, config)) {
           exitPrice = activeTargetOrder.price;
           exitTime = formatTimestamp(candle.timestamp_readable_IST);
-          exitReason = "target limit order filled";
+          exitReason = timeExitDetails.targetTightened ? TIME_EXIT_REASONS.tightenTarget : "target limit order filled";
           stopLossExitDetails.finalExitPrice = exitPrice;
           stopLossExitDetails.finalExitReason = exitReason;
           targetExitDetails.finalExitPrice = exitPrice;
@@ -1407,7 +2045,7 @@ function simulateTrade(date, trade, dayData, capital, config) {
       // Stop loss logic with skip-one-candle logic for short positions
       if (stopLossConfig.enabled && !activeTargetOrder) { // Only check stop loss if target order not active
         // First, check if stop loss has been breached
-        if (!stopLossBreach && candle.high >= trade.stopLoss) {
+        if (!stopLossBreach && candle.high >= currentStopLoss) {
           stopLossBreach = true;
           stopLossExitDetails.stopLossBreached = true;
           stopLossExitDetails.breachCandleTime = formatTimestamp(candle.timestamp_readable_IST);
@@ -1430,17 +2068,17 @@ function simulateTrade(date, trade, dayData, capital, config) {
             price: roundedClosePrice,
             time: formatTimestamp(candle.timestamp_readable_IST),
             candleIndex: i,
-            reason: "stop_loss_breach"
+            reason: STOP_LOSS_SOURCES[stopLossSource].breachReason
           });
         }
 
         // If we have an active stop loss order, check if it should be filled or updated (skip one candle)
         if (activeStopLossOrder && i > activeStopLossOrder.placedAtCandle + 1) {
           // Check if price moved below our limit order (recovery)
-          if (candle.low <= activeStopLossOrder.price) {
+          if (isLimitOrderFilled("buy", activeStopLossOrder.price, candle, config)) {
             exitPrice = activeStopLossOrder.price;
             exitTime = formatTimestamp(candle.timestamp_readable_IST);
-            exitReason = "stop loss limit order filled";
+            exitReason = STOP_LOSS_SOURCES[stopLossSource].exitReason;
             stopLossExitDetails.finalExitPrice = exitPrice;
             stopLossExitDetails.finalExitReason = exitReason;
             stopLossExitDetails.finalLimitPrice = activeStopLossOrder.price;
@@ -1492,7 +2130,8 @@ function simulateTrade(date, trade, dayData, capital, config) {
 
         // Circuit breaker: Force market exit if loss exceeds maximum threshold
         if (stopLossConfig.forceMarketOrderAfterMax && stopLossConfig.maxLossPercent) {
-          const currentLoss = candle.high - trade.entry.price;
+          // Loss is measured from the active stop, so a moved stop tightens the circuit breaker too
+          const currentLoss = candle.high - trade.entry.price + (trade.stopLoss - currentStopLoss);
           const lossPercentage = (currentLoss / riskPoints) * 100;
 
           if (lossPercentage >= stopLossConfig.maxLossPercent) {
@@ -1523,6 +2162,22 @@ function simulateTrade(date, trade, dayData, capital, config) {
     targetExitDetails.finalExitReason = exitReason;
   }
 
+  stopLossExitDetails.trailingStop.finalStopLoss = currentStopLoss;
+  if (timeExitOrder && !timeExitDetails.orderFilled) {
+    timeExitDetails.finalLimitPrice = timeExitOrder.price;
+  }
+
+  // Apply the fill model to the exit order
+  const exitCandle = dayData.find(candle => formatTimestamp(candle.timestamp_readable_IST) === exitTime);
+  const exitFill = applyFillSlippage(
+    exitPrice,
+    trade.type === "long" ? "sell" : "buy",
+    exitCandle,
+    maxShares,
+    config
+  );
+  exitPrice = exitFill.price;
+
   // Finalize order details
   if (activeStopLossOrder) {
     stopLossExitDetails.finalLimitPrice = activeStopLossOrder.price;
@@ -1533,7 +2188,8 @@ function simulateTrade(date, trade, dayData, capital, config) {
 
   // Calculate exit value and brokerage fee
   const exitValue = maxShares * exitPrice;
-  const exitBrokerageFee = (exitValue * brokerageFeePercent) / 100;
+  const exitCharges = calculateOrderCharges(exitValue, trade.type === "long" ? "sell" : "buy", costModel);
+  const exitBrokerageFee = exitCharges.total;
 
   // Calculate profit without brokerage fees (gross profit)
   const grossProfit = trade.type === "long" ?
@@ -1548,28 +2204,60 @@ function simulateTrade(date, trade, dayData, capital, config) {
   const netProfitPercentage = (netProfit / actualCapitalUsed) * 100;
   const grossProfitPercentage = (grossProfit / actualCapitalUsed) * 100;
 
+  // Re-run a breakeven exit without the rule to see whether it saved or cut short the trade
+  if (stopLossSource === "breakeven" && exitReason === STOP_LOSS_SOURCES.breakeven.exitReason) {
+    const counterfactual = simulateTrade(date, plannedTrade, dayData, capital, {
+      ...config,
+      breakevenStop: { ...breakevenSettings, enabled: false }
+    }, sharedEntry);
+    breakevenStopDetails.exitedAtBreakeven = true;
+    breakevenStopDetails.counterfactual = {
+      exitPrice: counterfactual.exit.price,
+      exitTime: counterfactual.exit.time,
+      exitReason: counterfactual.exit.reason,
+      netProfit: counterfactual.netProfit
+    };
+    breakevenStopDetails.outcome = classifyBreakevenOutcome(netProfit, counterfactual.netProfit);
+  }
+
   // Create the trade result object
   return {
     date,
     type: trade.type,
     entry: {
       price: trade.entry.price,
+      orderPrice: entryFill.orderPrice,
       time: trade.entry.time,
-      fee: entryBrokerageFee
+      fee: entryBrokerageFee,
+      charges: entryCharges
     },
     exit: {
       price: exitPrice,
+      orderPrice: exitFill.orderPrice,
       time: exitTime,
       reason: exitReason,
-      fee: exitBrokerageFee
+      fee: exitBrokerageFee,
+      charges: exitCharges
+    },
+    slippage: {
+      model: entryFill.model,
+      entrySlippage: entryFill.slippage,
+      exitSlippage: exitFill.slippage,
+      totalSlippagePoints: entryFill.slippage + exitFill.slippage,
+      totalSlippageAmount: (entryFill.slippage + exitFill.slippage) * maxShares
     },
     target: trade.target,
     stopLoss: trade.stopLoss,
     shares: maxShares,
+    positionSizing: positionSize,
     leverage: capital.leverage || 1,
     grossInvestedAmount: investedAmount,
     actualCapitalUsed: actualCapitalUsed,
     totalFees: entryBrokerageFee + exitBrokerageFee,
+    charges: {
+      costModel: costModel.preset,
+      ...sumCharges([entryCharges, exitCharges])
+    },
     riskPoints: riskPoints,
     profit: netProfit,
     profitPercentage: netProfitPercentage,
@@ -1578,12 +2266,176 @@ function simulateTrade(date, trade, dayData, capital, config) {
     grossProfitPercentage: grossProfitPercentage,
     netProfitPercentage: netProfitPercentage,
     patterns: trade.patterns,
+    patternDetails: trade.patternDetails, // Patterns around the breakout and pullback candles
     maxFavorableExcursion: maxFavorableExcursion,
     volumeInfo: trade.volumeInfo,
     breakout: trade.breakoutDetails,
     stopLossExitDetails: stopLossExitDetails, // Enhanced with skip-one-candle logic
+    breakevenStopDetails: breakevenStopDetails,
     targetExitDetails: targetExitDetails, // NEW: Target exit details with skip-one-candle logic
-    preMarketExitDetails: preMarketExitDetails // Enhanced with skip-one-candle logic
+    preMarketExitDetails: preMarketExitDetails, // Enhanced with skip-one-candle logic
+    timeExitDetails: timeExitDetails
+  };
+}
+
+/**
+ * Simulate a position as scale-out legs and combine them into one trade result
+ * @param {string} date - The date of the trade
+ * @param {Object} trade - The trade entry object
+ * @param {Array} dayData - The candle data for the day
+ * @param {Object} capital - Capital configuration
+ * @param {Object} config - Configuration object with scaleOut settings
+ * @param {Object} positionSize - Sizing result for the whole position
+ * @param {Object} sharedEntry - { fill, charges, shares } of the single entry order of the whole position
+ * @returns {Object} - Combined trade result with per-leg fills and a blended exit price
+ */
+function simulateScaleOutTrade(date, trade, dayData, capital, config, positionSize, sharedEntry) {
+  const plannedLegs = planScaleOutLegs(positionSize.shares, { ...defaultScaleOutConfig, ...config.scaleOut });
+
+  const legResults = plannedLegs.map(leg => {
+    const legTarget = getLegTarget(trade, leg.rMultiple);
+    return simulateTrade(date, {
+      ...trade,
+      target: legTarget === null ? trade.target : applyPriceRounding(legTarget, config)
+    }, dayData, capital, {
+      ...config,
+      scaleOut: { ...config.scaleOut, enabled: false },
+      positionSizing: { ...config.positionSizing, mode: "fixedShares", shares: leg.shares },
+      // A runner has no target order and exits through the (trailing) stop or the market exit
+      targetExitConfig: leg.rMultiple === null ?
+        { ...config.targetExitConfig, enabled: false } :
+        config.targetExitConfig
+    }, sharedEntry);
+  });
+
+  return combineLegResults(legResults, plannedLegs, trade, positionSize, sharedEntry.charges);
+}
+
+/**
+ * Create the result record for a day skipped because its data failed validation
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Array} flaggedBy - Issue types that flagged the day
+ * @returns {Object} - Non-trade result object
+ */
+function createDataValidationSkipRecord(date, flaggedBy) {
+  return {
+    date,
+    message: `Day skipped by data validation (${flaggedBy.join(', ')})`,
+    dataValidationSkip: true,
+    dataValidationIssues: flaggedBy,
+    volumeRejection: false,
+    volumeData: null,
+    minimumStopLossRejection: false,
+    minimumStopLossData: null
+  };
+}
+
+/**
+ * Create the result record for a day skipped because the calendar has no session on it
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Object} sessionCheck - Result of checkSessionDay
+ * @returns {Object} - Non-trade result object
+ */
+function createSessionSkipRecord(date, sessionCheck) {
+  return {
+    date,
+    message: `Day skipped: no trading session (${sessionCheck.sessionType})`,
+    sessionSkip: true,
+    sessionFlags: sessionCheck.flags,
+    volumeRejection: false,
+    volumeData: null,
+    minimumStopLossRejection: false,
+    minimumStopLossData: null
+  };
+}
+
+/**
+ * Create the result record for a day skipped by the gap filter
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Object} gapCheck - Result of checkGapFilter
+ * @returns {Object} - Non-trade result object
+ */
+function createGapFilterSkipRecord(date, gapCheck) {
+  return {
+    date,
+    message: `Day skipped by gap filter (${gapCheck.reason})`,
+    gapFilterSkip: true,
+    gapPercent: gapCheck.gapPercent,
+    volumeRejection: false,
+    volumeData: null,
+    minimumStopLossRejection: false,
+    minimumStopLossData: null
+  };
+}
+
+/**
+ * Create the result record for a trade blocked by an account risk control
+ * @param {string} date - Date string in DD/MM/YYYY format
+ * @param {Object} trade - The simulated trade that was not taken
+ * @param {Object} riskCheck - Result of checkAccountRiskDay or checkDailyLoss that blocked it
+ * @returns {Object} - Non-trade result object
+ */
+function createAccountRiskSkipRecord(date, trade, riskCheck) {
+  return {
+    date,
+    message: `Trade skipped by account risk control (${riskCheck.rule}: ${riskCheck.reason})`,
+    accountRiskSkip: true,
+    blockedBy: riskCheck.rule,
+    blockReason: riskCheck.reason,
+    skippedTrade: {
+      type: trade.type,
+      entryTime: trade.entry.time,
+      entryPrice: trade.entry.price,
+      exitTime: trade.exit.time,
+      exitPrice: trade.exit.price,
+      exitReason: trade.exit.reason,
+      netProfit: trade.netProfit
+    },
+    gapClassification: trade.gapClassification,
+    volumeRejection: false,
+    volumeData: null,
+    minimumStopLossRejection: false,
+    minimumStopLossData: null
+  };
+}
+
+/**
+ * Summarise a data validation run for the backtest results
+ * @param {Object|null} dataValidation - Result of applyDataValidation
+ * @returns {Object|null} - Validation summary, or null when validation is disabled
+ */
+function summarizeDataValidation(dataValidation) {
+  if (!dataValidation) {
+    return null;
+  }
+
+  return {
+    action: dataValidation.action,
+    ...dataValidation.report.summary,
+    flaggedDates: dataValidation.report.flaggedDates,
+    skippedDays: dataValidation.skippedDates.size
+  };
+}
+
+/**
+ * Summarise the exchange calendar checks of a run for the backtest results
+ * @param {Array} sessionChecks - Results of checkSessionDay for the days that were flagged
+ * @param {Object} config - Configuration object with exchangeCalendar settings
+ * @returns {Object|null} - Session summary, or null when the calendar is disabled
+ */
+function summarizeSessionChecks(sessionChecks, config) {
+  if (!config.exchangeCalendar?.enabled) {
+    return null;
+  }
+
+  return {
+    exchange: config.exchangeCalendar.exchange || defaultExchangeCalendarConfig.exchange,
+    unexpectedDays: sessionChecks.filter(check => check.flags.includes("unexpected")).length,
+    truncatedDays: sessionChecks.filter(check => check.flags.includes("truncated")).length,
+    lateStartDays: sessionChecks.filter(check => check.flags.includes("lateStart")).length,
+    specialSessionDays: sessionChecks.filter(check => check.flags.includes("specialSession")).length,
+    calendarNotCoveredDays: sessionChecks.filter(check => check.flags.includes("calendarNotCovered")).length,
+    flaggedDays: sessionChecks
   };
 }
 
@@ -1597,24 +2449,101 @@ function backtest(stockData, config = defaultConfig) {
   // Merge with default config
   config = { ...defaultConfig, ...config };
 
+  // Back-adjust prices and volumes for splits and bonuses (raw candles are kept in stockData.rawData)
+  stockData = applyCorporateActions(stockData, config);
+
   // Extract dates from the data
   const dates = Object.keys(stockData.data).filter(date => shouldIncludeDate(date, config));
 
+  // Check data quality first (throws when configured to refuse flagged data)
+  const dataValidation = applyDataValidation(stockData, dates, config);
+
+  // Previous-day and multi-day levels (flagged days are not used as prior levels)
+  const dayContexts = buildDayContexts(stockData, config, dataValidation?.skippedDates);
+
   // Array to store all trades
   const allTrades = [];
 
-  // Process each trading day
+  // Equity available for sizing (only changes between days when compounding is enabled)
+  let equity = config.capital.initial;
+
+  // Days whose data does not match the exchange session (holidays, truncated or special sessions)
+  const sessionChecks = [];
+
+  // Account-level halts across days (skipped trades are recorded but never taken)
+  const accountRiskState = createAccountRiskState(config.capital.initial);
+
+  // Process each trading day (each trade is logged under its date)
   for (const date of dates) {
+    if (dataValidation?.skippedDates.has(date)) {
+      allTrades.push(createDataValidationSkipRecord(date, dataValidation.skippedDates.get(date)));
+      continue;
+    }
+
     const dayData = stockData.data[date];
-    const dayTradeResult = analyzeTradingDay(date, dayData, config);
-    allTrades.push(dayTradeResult);
+
+    let sessionCheck = null;
+    if (config.exchangeCalendar?.enabled) {
+      sessionCheck = checkSessionDay(getSession(date, config), dayData, config);
+      if (sessionCheck.flags.length > 0) {
+        sessionChecks.push(sessionCheck);
+      }
+
+      if (sessionCheck.flags.includes("unexpected") && config.exchangeCalendar.skipUnexpectedDays) {
+        allTrades.push(createSessionSkipRecord(date, sessionCheck));
+        continue;
+      }
+    }
+
+    const dayConfig = config.compounding?.enabled ?
+      { ...config, capital: { ...config.capital, initial: equity } } :
+      config;
+
+    const accountRiskCheck = checkAccountRiskDay(accountRiskState, date, config);
+    let dayTradeResults = analyzeTradingDayTrades(date, dayData, dayConfig, dayContexts.get(date));
+    if (accountRiskCheck.blocked) {
+      dayTradeResults = dayTradeResults.map(result =>
+        (result.profit !== undefined || result.netProfit !== undefined) ?
+          createAccountRiskSkipRecord(date, result, accountRiskCheck) :
+          result
+      );
+    }
+
+    if (sessionCheck && sessionCheck.flags.length > 0) {
+      dayTradeResults.forEach(result => {
+        result.sessionFlags = sessionCheck.flags;
+      });
+    }
+    annotateRawPrices(dayTradeResults, date, stockData);
+    allTrades.push(...dayTradeResults);
+
+    const dayActualTrades = dayTradeResults.filter(trade => trade.profit !== undefined || trade.netProfit !== undefined);
+    const dayNetProfit = dayActualTrades.reduce((sum, trade) => sum + (trade.netProfit || trade.profit || 0), 0);
+    recordAccountRiskDay(accountRiskState, date, dayNetProfit, dayActualTrades.length > 0, accountRiskCheck, config);
+
+    if (config.compounding?.enabled) {
+      equity += dayNetProfit;
+    }
   }
 
   // Calculate statistics
   const stats = calculateStats(allTrades, config.capital, config);
 
+  // Day-by-day equity series with peak, drawdown and running return
+  const equityCurve = buildEquityCurve(allTrades, config.capital.initial);
+
   return {
     ...stats,
+    compounding: config.compounding?.enabled || false,
+    timeframe: {
+      interval: config.timeframe?.interval || defaultTimeframeConfig.interval,
+      fillsOnBaseCandles: config.timeframe?.fillsOnBaseCandles || false
+    },
+    dataValidation: summarizeDataValidation(dataValidation),
+    sessionAnalysis: summarizeSessionChecks(sessionChecks, config),
+    corporateActions: summarizeCorporateActions(stockData),
+    accountRiskAnalysis: config.accountRisk?.enabled ? summarizeAccountRisk(allTrades, accountRiskState) : null,
+    equityCurve,
     allTrades,
     configUsed: config
   };
@@ -1648,6 +2577,12 @@ function calculateStats(trades, capital, config) {
   // Calculate total fees
   const totalFees = actualTrades.reduce((sum, trade) => sum + (trade.totalFees || 0), 0);
 
+  // Aggregate itemised charges by type
+  const chargesByType = {};
+  for (const type of CHARGE_TYPES) {
+    chargesByType[type] = actualTrades.reduce((sum, trade) => sum + (trade.charges?.[type] || 0), 0);
+  }
+
   // Calculate the total return percentage
   const totalGrossReturnPercentage = (totalGrossProfit / capital.initial) * 100;
   const totalNetReturnPercentage = (totalNetProfit / capital.initial) * 100;
@@ -1695,7 +2630,17 @@ function calculateStats(trades, capital, config) {
   let stopLossExitAnalysis = null;
   if (config.stopLossExitConfig?.enabled) {
     const stopLossLimitOrderExits = actualTrades.filter(trade =>
-      trade.exit.reason === 'stop loss limit order filled'
+      trade.exit.reason === 'stop loss limit order filled' ||
+      trade.exit.reason === 'trailing stop limit order filled' ||
+      trade.exit.reason === 'breakeven stop limit order filled'
+    );
+
+    const trailingStopExits = actualTrades.filter(trade =>
+      trade.exit.reason === 'trailing stop limit order filled'
+    );
+
+    const tradesWithTrailingActivated = actualTrades.filter(trade =>
+      trade.stopLossExitDetails?.trailingStop?.activated === true
     );
 
     const circuitBreakerExits = actualTrades.filter(trade =>
@@ -1728,10 +2673,109 @@ function calculateStats(trades, capital, config) {
       averageProfitCircuitBreakerExits: circuitBreakerExits.length > 0 ?
         circuitBreakerExits.reduce((sum, trade) => sum + (trade.netProfit || 0), 0) / circuitBreakerExits.length : 0,
       averageStopLossPriceUpdates: averageStopLossPriceUpdates,
+      trailingStop: {
+        enabled: config.trailingStop?.enabled || false,
+        mode: config.trailingStop?.mode || null,
+        totalTradesActivated: tradesWithTrailingActivated.length,
+        totalTrailingStopExits: trailingStopExits.length,
+        averageProfitTrailingStopExits: trailingStopExits.length > 0 ?
+          trailingStopExits.reduce((sum, trade) => sum + (trade.netProfit || 0), 0) / trailingStopExits.length : 0
+      },
       config: config.stopLossExitConfig
     };
   }
 
+  // Breakeven stop analysis - compares breakeven exits with the same trades simulated without the rule
+  let breakevenStopAnalysis = null;
+  if (config.breakevenStop?.enabled) {
+    const tradesTriggered = actualTrades.filter(trade => trade.breakevenStopDetails?.triggered === true);
+    const breakevenExits = actualTrades.filter(trade => trade.breakevenStopDetails?.exitedAtBreakeven === true);
+    const savedTrades = breakevenExits.filter(trade => trade.breakevenStopDetails.outcome === "saved");
+    const cutShortTrades = breakevenExits.filter(trade => trade.breakevenStopDetails.outcome === "cutShort");
+    const profitDifference = trade => trade.netProfit - trade.breakevenStopDetails.counterfactual.netProfit;
+
+    breakevenStopAnalysis = {
+      enabled: true,
+      totalTradesTriggered: tradesTriggered.length,
+      totalBreakevenExits: breakevenExits.length,
+      tradesSaved: savedTrades.length,
+      tradesCutShort: cutShortTrades.length,
+      tradesUnchanged: breakevenExits.length - savedTrades.length - cutShortTrades.length,
+      lossAvoided: savedTrades.reduce((sum, trade) => sum + profitDifference(trade), 0),
+      profitGivenUp: -cutShortTrades.reduce((sum, trade) => sum + profitDifference(trade), 0),
+      netEffect: breakevenExits.reduce((sum, trade) => sum + profitDifference(trade), 0),
+      config: { ...defaultBreakevenStopConfig, ...config.breakevenStop }
+    };
+  }
+
+  // Time-based exit analysis - exits and average profit by time rule
+  let timeExitAnalysis = null;
+  const timeExitSettings = getTimeExitSettings(config);
+  if (timeExitSettings.noProgress.enabled || timeExitSettings.maxHolding.enabled || timeExitSettings.tightenTarget.enabled) {
+    const rules = {};
+    for (const [rule, reason] of Object.entries(TIME_EXIT_REASONS)) {
+      const exits = actualTrades.filter(trade => trade.exit.reason === reason);
+      rules[rule] = {
+        enabled: timeExitSettings[rule].enabled,
+        exitReason: reason,
+        totalExits: exits.length,
+        averageProfit: exits.length > 0 ?
+          exits.reduce((sum, trade) => sum + (trade.netProfit || 0), 0) / exits.length : 0
+      };
+    }
+
+    timeExitAnalysis = {
+      enabled: true,
+      rules,
+      totalTradesWithTightenedTarget: actualTrades.filter(trade => trade.timeExitDetails?.targetTightened === true).length,
+      totalTimeExitOrdersPlaced: actualTrades.filter(trade => trade.timeExitDetails?.orderPlaced === true).length,
+      config: timeExitSettings
+    };
+  }
+
+  // Scale-out analysis - how often each leg reached its target and what it earned
+  let scaleOutAnalysis = null;
+  if (config.scaleOut?.enabled) {
+    const scaledTrades = actualTrades.filter(trade => trade.scaleOut);
+    const legs = {};
+    for (const trade of scaledTrades) {
+      for (const leg of trade.scaleOut.legs) {
+        if (!legs[leg.leg]) {
+          legs[leg.leg] = { leg: leg.leg, percent: leg.percent, rMultiple: leg.rMultiple, count: 0, targetExits: 0, totalNetProfit: 0 };
+        }
+        legs[leg.leg].count++;
+        legs[leg.leg].totalNetProfit += leg.netProfit;
+        if (leg.exitReason === 'target limit order filled') {
+          legs[leg.leg].targetExits++;
+        }
+      }
+    }
+
+    scaleOutAnalysis = {
+      enabled: true,
+      totalScaledTrades: scaledTrades.length,
+      legs: Object.values(legs).map(leg => ({
+        ...leg,
+        targetHitRate: leg.count > 0 ? (leg.targetExits / leg.count) * 100 : 0,
+        averageNetProfit: leg.count > 0 ? leg.totalNetProfit / leg.count : 0
+      }))
+    };
+  }
+
+  // Candlestick pattern analysis - performance of trades by the patterns around their breakout and pullback
+  let patternAnalysis = null;
+  if (config.candlestickPatterns?.enabled) {
+    const patternSettings = getCandlestickPatternSettings(config);
+    patternAnalysis = {
+      enabled: true,
+      requireConfirmation: patternSettings.requireConfirmation,
+      totalConfirmedEntries: actualTrades.filter(trade => trade.patternDetails?.confirmingPattern).length,
+      totalUnconfirmedBreakouts: trades.filter(trade => trade.patternConfirmationMissing).length,
+      byPattern: summarizeByPattern(actualTrades),
+      config: patternSettings
+    };
+  }
+
   // NEW: Target exit analysis with skip-one-candle logic
   let targetExitAnalysis = null;
   if (config.targetExitConfig?.enabled) {
@@ -1817,6 +2861,75 @@ function calculateStats(trades, capital, config) {
     };
   }
 
+  // Position sizing analysis - which constraint capped the size
+  const positionSizingMode = config.positionSizing?.mode || "capital";
+  let positionSizingAnalysis = null;
+  if (positionSizingMode !== "capital") {
+    const cappedByLeverage = actualTrades.filter(trade => trade.positionSizing?.cappedBy === "leverage");
+    const cappedByMargin = actualTrades.filter(trade => trade.positionSizing?.cappedBy === "margin");
+
+    positionSizingAnalysis = {
+      enabled: true,
+      mode: positionSizingMode,
+      totalTradesCappedByLeverage: cappedByLeverage.length,
+      totalTradesCappedByMargin: cappedByMargin.length,
+      totalTradesUncapped: actualTrades.length - cappedByLeverage.length - cappedByMargin.length,
+      totalZeroSizeRejections: trades.filter(trade => trade.positionSizeRejection).length,
+      averageShares: actualTrades.length > 0 ?
+        actualTrades.reduce((sum, trade) => sum + trade.shares, 0) / actualTrades.length : 0,
+      averagePositionValue: actualTrades.length > 0 ?
+        actualTrades.reduce((sum, trade) => sum + trade.grossInvestedAmount, 0) / actualTrades.length : 0,
+      averageRiskAmount: actualTrades.length > 0 ?
+        actualTrades.reduce((sum, trade) => sum + trade.riskPoints * trade.shares, 0) / actualTrades.length : 0,
+      config: config.positionSizing
+    };
+  }
+
+  // Slippage analysis from the fill model
+  let slippageAnalysis = null;
+  if (config.fillModel && config.fillModel.model !== "none") {
+    const tradesWithSlippage = actualTrades.filter(trade => trade.slippage?.totalSlippagePoints > 0);
+    const totalSlippageAmount = actualTrades.reduce((sum, trade) => sum + (trade.slippage?.totalSlippageAmount || 0), 0);
+
+    slippageAnalysis = {
+      enabled: true,
+      model: config.fillModel.model,
+      limitOrderTradeThroughTicks: config.fillModel.limitOrderTradeThroughTicks || 0,
+      totalTradesWithSlippage: tradesWithSlippage.length,
+      totalSlippageAmount: totalSlippageAmount,
+      averageSlippageAmountPerTrade: actualTrades.length > 0 ? totalSlippageAmount / actualTrades.length : 0,
+      averageEntrySlippagePoints: actualTrades.length > 0 ?
+        actualTrades.reduce((sum, trade) => sum + (trade.slippage?.entrySlippage || 0), 0) / actualTrades.length : 0,
+      averageExitSlippagePoints: actualTrades.length > 0 ?
+        actualTrades.reduce((sum, trade) => sum + (trade.slippage?.exitSlippage || 0), 0) / actualTrades.length : 0,
+      config: config.fillModel
+    };
+  }
+
+  // Simultaneous long/short position analysis
+  let simultaneousPositionAnalysis = null;
+  if (config.simultaneousPositions?.enabled) {
+    const firstFilledPositions = actualTrades.filter(trade =>
+      trade.simultaneousPositions?.fillOrder === 1
+    );
+
+    const overlappedDays = firstFilledPositions.filter(trade => trade.simultaneousPositions.overlapped);
+    const pairedPositions = actualTrades.filter(trade => trade.simultaneousPositions);
+
+    simultaneousPositionAnalysis = {
+      enabled: true,
+      capitalSplitPercent: config.simultaneousPositions.capitalSplitPercent ?? 50,
+      totalDaysWithBothSides: firstFilledPositions.length,
+      totalOverlappingDays: overlappedDays.length,
+      longFilledFirst: firstFilledPositions.filter(trade => trade.simultaneousPositions.firstFilledSide === "long").length,
+      shortFilledFirst: firstFilledPositions.filter(trade => trade.simultaneousPositions.firstFilledSide === "short").length,
+      filledTogether: firstFilledPositions.filter(trade => trade.simultaneousPositions.firstFilledSide === "both").length,
+      averageOverlapMinutes: overlappedDays.length > 0 ?
+        overlappedDays.reduce((sum, trade) => sum + trade.simultaneousPositions.overlapMinutes, 0) / overlappedDays.length : 0,
+      totalProfitPairedPositions: pairedPositions.reduce((sum, trade) => sum + (trade.netProfit || 0), 0)
+    };
+  }
+
   // Calculate risk-reward metrics
   let actualAverageRR = 0;
   let plannedRR = 0;
@@ -1829,6 +2942,9 @@ function calculateStats(trades, capital, config) {
     plannedRR = config.riskRewardRatio || 1;
   }
 
+  // Risk-adjusted metrics (drawdown, Sharpe, Sortino, Calmar, profit factor, expectancy, streaks, ulcer index)
+  const riskMetrics = calculateRiskMetrics(trades, capital.initial, config);
+
   // Calculate win rate
   const winRate = actualTrades.length > 0 ? positiveDays / actualTrades.length * 100 : 0;
 
@@ -1879,9 +2995,31 @@ function calculateStats(trades, capital, config) {
   // Count breakouts outside time range
   const breakoutsOutsideTimeRange = trades.filter(trade => trade.breakoutOutsideTimeRange).length;
 
+  // Count breakouts rejected by the indicator filters
+  const indicatorFilterRejections = trades.filter(trade => trade.indicatorFilterRejection).length;
+
+  // Count days skipped by the gap filter and breakouts rejected by the gap class filter
+  const gapFilterSkips = trades.filter(trade => trade.gapFilterSkip).length;
+  const gapClassRejections = trades.filter(trade => trade.gapClassRejection).length;
+
+  // Performance by opening gap class
+  const gapClassSettings = getGapClassificationSettings(config);
+  const gapClassAnalysis = {
+    filterEnabled: gapClassSettings.enabled,
+    sizeUnit: gapClassSettings.sizeUnit,
+    minGapSize: gapClassSettings.minGapSize,
+    totalRejections: gapClassRejections,
+    byClass: summarizeByGapClass(trades)
+  };
+
   // NEW: Count breakouts rejected due to minimum stop loss percentage
   const minimumStopLossRejections = trades.filter(trade => trade.minimumStopLossRejection).length;
 
+  // Count setups invalidated because target was reached before the pullback entry filled
+  const targetReachedBeforePullbackCases = trades.reduce((cases, trade) =>
+    cases.concat(trade.targetReachedBeforePullbackData || trade.targetReachedBeforePullbackSetups || []), []);
+  const targetReachedBeforePullbackSetups = targetReachedBeforePullbackCases.length;
+
   return {
     initialCapital: capital.initial,
     leverage: capital.leverage || 1,
@@ -1891,6 +3029,8 @@ function calculateStats(trades, capital, config) {
     totalGrossProfit,
     totalNetProfit,
     totalFees,
+    costModel: config.costModel?.preset || "flat",
+    chargesByType,
     totalReturnPercentage,
     totalGrossReturnPercentage,
     totalNetReturnPercentage,
@@ -1913,33 +3053,54 @@ function calculateStats(trades, capital, config) {
       winRate: winRate / 100
     },
     winRate,
+    riskMetrics,
     breakoutsWithoutEntry,
     breakoutsOutsideTimeRange,
+    indicatorFilterRejections,
+    gapFilterSkips, // Days skipped by the gap filter
+    gapClassRejections, // Breakouts on sides the day's gap class does not allow
     minimumStopLossRejections, // NEW: Track rejections due to tight stop loss
+    targetReachedBeforePullbackSetups, // Setups skipped because target was reached before the pullback entry
     stopLossExitAnalysis, // Enhanced with skip-one-candle logic
+    breakevenStopAnalysis, // Trades saved or cut short by the breakeven stop
+    scaleOutAnalysis, // Per-leg results of partial profit taking
+    gapClassAnalysis, // Days, trades and profit by opening gap class
+    patternAnalysis, // Trades, win rate and profit by candlestick pattern
+    timeExitAnalysis, // Exits by no-progress, max holding time and tightened target rules
     targetExitAnalysis, // NEW: Target exit analysis with skip-one-candle logic  
     preMarketExitAnalysis, // Enhanced with skip-one-candle logic
     entryOrderAnalysis, // NEW: Entry order analysis with skip-one-candle logic
+    simultaneousPositionAnalysis, // Long and short positions on the same day
+    slippageAnalysis, // Slippage incurred under the configured fill model
+    positionSizingAnalysis, // Sizing mode and the constraints that capped trade size
     priceRoundingConfig: config.priceRounding, // Include price rounding configuration in results
+    stopLossAnchorConfig: getStopLossAnchorSettings(config), // Swing prices and stop buffer used for breakouts
+    breakoutDetectorConfig: getBreakoutDetectorSettings(config), // Detector that reported breakouts
     minimumStopLossConfig: {
       enabled: config.minimumStopLossPercent > 0,
       minimumStopLossPercent: config.minimumStopLossPercent,
       totalRejections: minimumStopLossRejections
-    } // NEW: Include minimum stop loss configuration and stats
+    }, // NEW: Include minimum stop loss configuration and stats
+    targetBeforePullbackConfig: {
+      enabled: config.targetBeforePullback?.enabled || false,
+      totalSetups: targetReachedBeforePullbackSetups,
+      longSetups: targetReachedBeforePullbackCases.filter(setup => setup.breakoutType === "long").length,
+      shortSetups: targetReachedBeforePullbackCases.filter(setup => setup.breakoutType === "short").length,
+      daysAffected: new Set(targetReachedBeforePullbackCases.map(setup => setup.date)).size
+    }
   };
 }
 
 /**
  * Main function to run the backtest
- * @param {string} filePath - Path to the JSON file
+ * @param {string} filePath - Path to the data file (JSON, JSON Lines or CSV)
  * @param {Object} config - Configuration object
  * @returns {Object} - The backtest results
  */
 function runBacktest(filePath, config = defaultConfig) {
   try {
-    // Read the stock data
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const stockData = JSON.parse(fileContent);
+    // Read the stock data and normalise it to the day-keyed layout
+    const stockData = loadStockData(filePath, config.dataSource || {});
 
     // Run the backtest
     return backtest(stockData, config);
@@ -1954,10 +3115,17 @@ module.exports = {
   runBacktest,
   backtest,
   analyzeTradingDay,
+  analyzeTradingDayTrades,
   simulateTrade,
   calculateStats,
   defaultConfig,
   roundToTickSize,
   applyPriceRounding,
-  isMinimumStopLossPercentMet
+  isMinimumStopLossPercentMet,
+  shouldIncludeDate,
+  createDataValidationSkipRecord,
+  createAccountRiskSkipRecord,
+  createSessionSkipRecord,
+  summarizeDataValidation,
+  summarizeSessionChecks
 };
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Trailing stop-loss calculation for simulated trades.
+ *
+ * The stop only ratchets in the trade's favour and starts trailing once price has moved
+ * far enough from the entry (in points or multiples of the initial risk).
+ */
+const { calculateATR } = require('./indicators');
+
+/**
+ * Default trailing stop configuration (fixed stop at the swing low/high)
+ */
+const defaultTrailingStopConfig = {
+  enabled: false, // Trail the stop loss after the trade moves in our favour
+  mode: "points", // "points", "percent", "atr", "candleExtreme" or "chandelier"
+  points: 2, // points: trail distance in rupees from the best price since entry
+  percent: 0.5, // percent: trail distance as % of the best price since entry
+  atrPeriod: 14, // atr / chandelier: ATR lookback in candles
+  atrMultiplier: 2, // atr / chandelier: trail distance = ATR × multiplier
+  lookbackCandles: 3, // candleExtreme / chandelier: number of previous candles used for the low/high
+  activationRMultiple: 1, // Start trailing once the favourable move reaches this multiple of the initial risk
+  activationPoints: null // Start trailing after this many points instead (overrides activationRMultiple)
+};
+
+/**
+ * Trailing stop modes - each returns the proposed stop level for the latest completed candle
+ */
+const trailingStopModes = {
+  points: ({ type, bestPrice }, settings) =>
+    type === "long" ? bestPrice - settings.points : bestPrice + settings.points,
+
+  percent: ({ type, bestPrice }, settings) =>
+    type === "long" ?
+      bestPrice * (1 - settings.percent / 100) :
+      bestPrice * (1 + settings.percent / 100),
+
+  atr: ({ type, candles, index }, settings) => {
+    const atr = calculateATR(candles, index, settings.atrPeriod);
+    if (!atr) return null;
+    const close = candles[index].close;
+    return type === "long" ? close - atr * settings.atrMultiplier : close + atr * settings.atrMultiplier;
+  },
+
+  candleExtreme: ({ type, candles, index, firstIndex }, settings) => {
+    const window = candles.slice(Math.max(firstIndex, index - settings.lookbackCandles + 1), index + 1);
+    return type === "long" ?
+      Math.min(...window.map(candle => candle.low)) :
+      Math.max(...window.map(candle => candle.high));
+  },
+
+  chandelier: ({ type, candles, index, firstIndex }, settings) => {
+    const atr = calculateATR(candles, index, settings.atrPeriod);
+    if (!atr) return null;
+    const window = candles.slice(Math.max(firstIndex, index - settings.lookbackCandles + 1), index + 1);
+    return type === "long" ?
+      Math.max(...window.map(candle => candle.high)) - atr * settings.atrMultiplier :
+      Math.min(...window.map(candle => candle.low)) + atr * settings.atrMultiplier;
+  }
+};
+
+/**
+ * Create the trailing stop state for a trade
+ * @param {Object} trade - Trade with type, entry price and initial stopLoss
+ * @param {number} entryIndex - Index of the entry candle
+ * @param {Object} config - Configuration object with optional trailingStop settings
+ * @returns {Object} - Trailing stop state
+ */
+function createTrailingStopState(trade, entryIndex, config) {
+  const settings = { ...defaultTrailingStopConfig, ...(config.trailingStop || {}) };
+
+  if (settings.enabled && !trailingStopModes[settings.mode]) {
+    throw new Error(`Unknown trailing stop mode: ${settings.mode}`);
+  }
+
+  const riskPoints = Math.abs(trade.entry.price - trade.stopLoss);
+
+  return {
+    settings,
+    type: trade.type,
+    entryPrice: trade.entry.price,
+    initialStopLoss: trade.stopLoss,
+    stopLoss: trade.stopLoss,
+    firstIndex: entryIndex + 1,
+    bestPrice: trade.entry.price,
+    activationDistance: settings.activationPoints !== null && settings.activationPoints !== undefined ?
+      settings.activationPoints :
+      settings.activationRMultiple * riskPoints,
+    activated: false,
+    activationTime: null,
+    activationCandleIndex: null
+  };
+}
+
+/**
+ * Update the trailing stop with a completed candle
+ * @param {Object} state - State from createTrailingStopState (updated in place)
+ * @param {Array} candles - Candle data for the day
+ * @param {number} index - Index of the completed candle
+ * @param {Function} roundPrice - Rounds a stop level to the tick size
+ * @returns {Object} - { stopLoss, moved, candidate } after this candle
+ */
+function updateTrailingStop(state, candles, index, roundPrice) {
+  const candle = candles[index];
+  state.bestPrice = state.type === "long" ?
+    Math.max(state.bestPrice, candle.high) :
+    Math.min(state.bestPrice, candle.low);
+
+  const favourableMove = state.type === "long" ?
+    state.bestPrice - state.entryPrice :
+    state.entryPrice - state.bestPrice;
+
+  if (!state.activated) {
+    if (favourableMove < state.activationDistance) {
+      return { stopLoss: state.stopLoss, moved: false, candidate: null };
+    }
+    state.activated = true;
+    state.activationCandleIndex = index;
+  }
+
+  const rawCandidate = trailingStopModes[state.settings.mode]({
+    type: state.type,
+    bestPrice: state.bestPrice,
+    candles,
+    index,
+    firstIndex: state.firstIndex
+  }, state.settings);
+
+  if (rawCandidate === null || !Number.isFinite(rawCandidate)) {
+    return { stopLoss: state.stopLoss, moved: false, candidate: null };
+  }
+
+  const candidate = roundPrice(rawCandidate);
+
+  // Only ratchet in the trade's favour
+  const improves = state.type === "long" ? candidate > state.stopLoss : candidate < state.stopLoss;
+  if (improves) {
+    state.stopLoss = candidate;
+  }
+
+  return { stopLoss: state.stopLoss, moved: improves, candidate };
+}
+
+module.exports = {
+  defaultTrailingStopConfig,
+  trailingStopModes,
+  createTrailingStopState,
+  updateTrailingStop
+};